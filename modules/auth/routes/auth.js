@@ -146,6 +146,13 @@ router.post('/login', rateLimiters.loginLimiter, async (req, res) => {
             { expiresIn: '7d' }
         );
 
+        // Logins count as activity for dormant-balance expiry - best effort, never blocks the login
+        try {
+            await db.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+        } catch (activityError) {
+            console.error('Login activity update error:', activityError.message);
+        }
+
         console.log('✅ Login successful for user:', user.id, user.email, 'is_admin:', user.is_admin);
 
         res.json({
@@ -1,98 +1,109 @@
 ﻿const express = require('express');
 const router = express.Router();
+const { authenticateToken: auth, isAdmin: adminOnly } = require('../middleware/auth');
+const CashoutService = require('../services/cashouts');
+const PayoutQueue = require('../services/payout-queue');
+const CashoutReviewService = require('../services/review');
 
-const CASHOUT_CONFIG = {
-  minimumAmount: 1.00,
-  maximumDaily: 50.00,
-  maximumWeekly: 200.00,
-  methods: [
-    { id: 'paypal', name: 'PayPal', minAmount: 1.00, fee: 0, processingTime: 'Instant - 24 hours' },
-    { id: 'cashapp', name: 'Cash App', minAmount: 1.00, fee: 0, processingTime: 'Instant - 24 hours' },
-    { id: 'venmo', name: 'Venmo', minAmount: 5.00, fee: 0, processingTime: 'Instant - 24 hours' },
-    { id: 'crypto_usdc', name: 'USDC (Crypto)', minAmount: 10.00, fee: 0, processingTime: 'Instant' },
-    { id: 'amazon', name: 'Amazon Gift Card', minAmount: 5.00, fee: 0, processingTime: 'Instant' }
-  ]
+let cashoutService = null;
+let payoutQueue = null;
+let reviewService = null;
+
+// Initialize with the brain.json "cashouts" section and shared services - the payout-verification
+// providers approved cashouts are sent through, and the fraud service for review risk context
+const initService = (config = {}, { balanceService, payoutProviders = null, fraudService = null } = {}) => {
+  cashoutService = new CashoutService(config, { balanceService, payoutProviders });
+  payoutQueue = new PayoutQueue(config.payouts || {}, { cashoutService, payoutProviders });
+  reviewService = new CashoutReviewService(config.review || {}, { cashoutService, fraudService });
+  return { cashoutService, payoutQueue, reviewService };
+};
+
+// HTTP status for each cashout error code
+const CASHOUT_ERRORS = {
+  INVALID_CASHOUT: 400,
+  INSUFFICIENT_BALANCE: 400,
+  LIMIT_EXCEEDED: 400,
+  INVALID_DECISION: 400,
+  INVALID_FILTER: 400,
+  USER_NOT_FOUND: 404,
+  CASHOUT_NOT_FOUND: 404,
+  INVALID_TRANSITION: 409
 };
 
-// Get cashout options and user limits
-router.get('/options/:userId', async (req, res) => {
+// Users see their own cashouts; admins see anyone's
+const canView = (req, userId) => String(req.user.id) === String(userId) || req.user.is_admin;
+
+// Get cashout options and the user's limits for their verification level and account age
+router.get('/options/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // TODO: Get user balance and cashout history from DB
-    const userBalance = 0;
-    const todayCashouts = 0;
-    const weekCashouts = 0;
-    
-    res.json({
-      balance: userBalance,
-      methods: CASHOUT_CONFIG.methods,
-      limits: {
-        minimum: CASHOUT_CONFIG.minimumAmount,
-        dailyRemaining: CASHOUT_CONFIG.maximumDaily - todayCashouts,
-        weeklyRemaining: CASHOUT_CONFIG.maximumWeekly - weekCashouts
-      }
-    });
+    if (!cashoutService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    if (!canView(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const options = await cashoutService.getOptions(userId);
+    
+    res.json(options);
   } catch (error) {
+    if (error.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Cashout options error:', error);
     res.status(500).json({ error: 'Failed to fetch options' });
   }
 });
 
-// Request a cashout
-router.post('/request', async (req, res) => {
+// Request a cashout - the amount moves from available to held straight away
+// Retries with the same Idempotency-Key header return the original cashout
+router.post('/request', auth, async (req, res) => {
   try {
-    const { userId, amount, method, destination } = req.body;
-    
-    // Validation
-    if (amount < CASHOUT_CONFIG.minimumAmount) {
-      return res.status(400).json({ error: `Minimum cashout is $${CASHOUT_CONFIG.minimumAmount}` });
-    }
+    const { amount, method, destination } = req.body;
     
-    const methodConfig = CASHOUT_CONFIG.methods.find(m => m.id === method);
-    if (!methodConfig) {
-      return res.status(400).json({ error: 'Invalid cashout method' });
+    if (!cashoutService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
     }
     
-    if (amount < methodConfig.minAmount) {
-      return res.status(400).json({ error: `Minimum for ${methodConfig.name} is $${methodConfig.minAmount}` });
-    }
-    
-    // TODO: Database operations
-    // 1. Check user balance >= amount
-    // 2. Check daily/weekly limits
-    // 3. Deduct from balance
-    // 4. Create cashout record with status 'pending'
-    // 5. Queue for processing (PayPal API, etc.)
-    
-    const cashoutId = 'co_' + Date.now();
-    
-    res.json({
-      success: true,
-      cashoutId,
+    const cashout = await cashoutService.request(req.user.id, {
       amount,
-      method: methodConfig.name,
+      method,
       destination,
-      fee: methodConfig.fee,
-      netAmount: amount - methodConfig.fee,
-      status: 'pending',
-      estimatedTime: methodConfig.processingTime,
-      message: `Cashout of $${amount.toFixed(2)} to ${methodConfig.name} is being processed!`
+      idempotencyKey: req.get('Idempotency-Key') || null
+    });
+    const methodConfig = cashoutService.config.methods.find(m => m.id === cashout.method);
+    
+    res.status(cashout.replayed ? 200 : 201).json({
+      success: true,
+      ...cashout,
+      estimatedTime: methodConfig ? methodConfig.processingTime : null,
+      message: `Cashout of $${cashout.amount.toFixed(2)} to ${methodConfig ? methodConfig.name : cashout.method} is being processed!`
     });
   } catch (error) {
+    if (CASHOUT_ERRORS[error.code]) {
+      return res.status(CASHOUT_ERRORS[error.code]).json({ error: error.message, code: error.code, limit: error.details });
+    }
     console.error('Cashout request error:', error);
     res.status(500).json({ error: 'Failed to process cashout' });
   }
 });
 
 // Get cashout history
-router.get('/history/:userId', async (req, res) => {
+router.get('/history/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    if (!cashoutService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    if (!canView(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
-    // TODO: Fetch from database
-    const history = [];
+    const history = await cashoutService.getHistory(userId, { status: req.query.status, limit });
     
     res.json({ history, count: history.length });
   } catch (error) {
@@ -101,42 +112,189 @@ router.get('/history/:userId', async (req, res) => {
   }
 });
 
-// Get cashout status
-router.get('/status/:cashoutId', async (req, res) => {
+// Get cashout status with its state history
+router.get('/status/:cashoutId', auth, async (req, res) => {
   try {
     const { cashoutId } = req.params;
     
-    // TODO: Fetch from database
-    res.json({
-      cashoutId,
-      status: 'pending',
-      updatedAt: new Date().toISOString()
-    });
+    if (!cashoutService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    
+    const cashout = await cashoutService.get(cashoutId, req.user.is_admin ? null : req.user.id);
+    if (!cashout) {
+      return res.status(404).json({ error: 'Cashout not found' });
+    }
+    
+    res.json(cashout);
   } catch (error) {
     console.error('Cashout status error:', error);
     res.status(500).json({ error: 'Failed to fetch status' });
   }
 });
 
-// Admin: Process pending cashouts
-router.post('/admin/process/:cashoutId', async (req, res) => {
+// Cancel a cashout that hasn't been sent yet - the held amount goes back to available
+router.post('/:cashoutId/cancel', auth, async (req, res) => {
+  try {
+    if (!cashoutService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    
+    const cashout = await cashoutService.cancel(req.params.cashoutId, req.user.id);
+    
+    res.json({ success: true, ...cashout });
+  } catch (error) {
+    if (CASHOUT_ERRORS[error.code]) {
+      return res.status(CASHOUT_ERRORS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error('Cashout cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel cashout' });
+  }
+});
+
+// Statuses only the review queue sets, so every decision is recorded with its risk context
+const REVIEW_STATUSES = ['approved', 'cancelled', 'kyc_hold'];
+
+// Admin: move a cashout along the payout side - { status, transactionId, provider, note }
+// under_review flags it for a closer look; paid needs the payout provider's transactionId;
+// failed returns the held funds. Approving, rejecting and KYC holds go through /admin/review
+router.post('/admin/process/:cashoutId', auth, adminOnly, async (req, res) => {
   try {
     const { cashoutId } = req.params;
-    const { status, transactionId } = req.body;
+    const { status, transactionId, provider, note } = req.body;
     
-    // TODO: Update cashout status in database
-    // If approved, trigger actual payment via PayPal/Stripe/etc.
+    if (!cashoutService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    if (!status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+    if (REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Use the review queue to move a cashout to ${status}` });
+    }
     
-    res.json({
-      success: true,
-      cashoutId,
-      status,
-      transactionId
+    const cashout = await cashoutService.transition(cashoutId, status, {
+      actorId: req.user.id,
+      transactionId,
+      provider,
+      note
     });
+    
+    res.json({ success: true, ...cashout });
   } catch (error) {
+    if (CASHOUT_ERRORS[error.code]) {
+      return res.status(CASHOUT_ERRORS[error.code]).json({ error: error.message, code: error.code });
+    }
     console.error('Cashout process error:', error);
     res.status(500).json({ error: 'Failed to process' });
   }
 });
 
+// Admin: cashouts waiting for review with each user's risk context - ?status=held|under_review|kyc_hold&risk=low|medium|high
+// Pass nextCursor back as ?cursor= for the next page
+router.get('/admin/review', auth, adminOnly, async (req, res) => {
+  try {
+    const { status, risk, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (!reviewService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    
+    const { items, nextCursor } = await reviewService.queue({ status, risk, limit, cursor });
+    
+    res.json({ queue: items, count: items.length, nextCursor });
+  } catch (error) {
+    if (CASHOUT_ERRORS[error.code]) {
+      return res.status(CASHOUT_ERRORS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error('Cashout review queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+// Admin: review decisions - who decided what, on what risk - ?cashoutId=&adminId=
+router.get('/admin/review/audit', auth, adminOnly, async (req, res) => {
+  try {
+    const { cashoutId, adminId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (!cashoutService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    
+    const reviews = await cashoutService.listReviews({ cashoutId, adminId, limit });
+    
+    res.json({ reviews, count: reviews.length });
+  } catch (error) {
+    console.error('Cashout review audit error:', error);
+    res.status(500).json({ error: 'Failed to fetch review audit' });
+  }
+});
+
+// Admin: approve every listed cashout that is still low risk - { cashoutIds, note }
+router.post('/admin/review/bulk-approve', auth, adminOnly, async (req, res) => {
+  try {
+    const { cashoutIds, note } = req.body;
+    
+    if (!reviewService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    if (!Array.isArray(cashoutIds)) {
+      return res.status(400).json({ error: 'cashoutIds must be an array' });
+    }
+    
+    const result = await reviewService.bulkApprove(cashoutIds, req.user.id, note || null);
+    
+    res.json({ success: true, ...result, approvedCount: result.approved.length, skippedCount: result.skipped.length });
+  } catch (error) {
+    if (CASHOUT_ERRORS[error.code]) {
+      return res.status(CASHOUT_ERRORS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error('Cashout bulk approve error:', error);
+    res.status(500).json({ error: 'Failed to bulk approve' });
+  }
+});
+
+// Admin: decide on one cashout - { note } (required to reject or hold for KYC)
+// reject returns the held funds; approve queues it for payout where the method has a provider
+router.post('/admin/review/:cashoutId/:decision(approve|reject|hold_kyc)', auth, adminOnly, async (req, res) => {
+  try {
+    const { cashoutId, decision } = req.params;
+    
+    if (!reviewService) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    
+    const cashout = await reviewService.decide(cashoutId, decision, req.user.id, req.body.note || null);
+    
+    res.json({ success: true, ...cashout });
+  } catch (error) {
+    if (CASHOUT_ERRORS[error.code]) {
+      return res.status(CASHOUT_ERRORS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error('Cashout review error:', error);
+    res.status(500).json({ error: 'Failed to review cashout' });
+  }
+});
+
+// Admin: payout queue jobs, optionally by status (queued, processing, succeeded, failed, cancelled)
+router.get('/admin/payouts', auth, adminOnly, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (!payoutQueue) {
+      return res.status(503).json({ error: 'Cashout service not initialized' });
+    }
+    
+    const jobs = await payoutQueue.list({ status: req.query.status, limit });
+    
+    res.json({ jobs, count: jobs.length });
+  } catch (error) {
+    console.error('Payout jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout jobs' });
+  }
+});
+
 module.exports = router;
+module.exports.initService = initService;
@@ -0,0 +1,536 @@
+/**
+ * Cashout Service
+ * Persisted cashouts moving through explicit states, with the amount held in the ledger until paid
+ */
+
+const mongoose = require('mongoose');
+const db = require('../database/db');
+const Verification = require('../../payout-verification/models/Verification');
+
+// Allowed status changes - funds are held from requested until paid, and any
+// exit before paid (cancelled, failed) returns them to the available balance
+const TRANSITIONS = {
+  requested: ['held'],
+  held: ['under_review', 'kyc_hold', 'approved', 'cancelled'],
+  under_review: ['kyc_hold', 'approved', 'cancelled'],
+  kyc_hold: ['under_review', 'approved', 'cancelled'],
+  approved: ['sending', 'cancelled'],
+  sending: ['paid', 'failed'],
+  paid: ['refunded'],
+  failed: [],
+  cancelled: [],
+  refunded: []
+};
+
+// States the user can still cancel from - once sending, the payout provider has it
+const CANCELLABLE = ['held', 'under_review', 'kyc_hold', 'approved'];
+
+// Admin review decisions and the state each moves a cashout to
+const DECISIONS = { approve: 'approved', reject: 'cancelled', hold_kyc: 'kyc_hold' };
+
+// States waiting on an admin decision
+const REVIEWABLE = ['held', 'under_review', 'kyc_hold'];
+
+// Rolling windows the limits apply over
+const WINDOWS = {
+  daily: { label: '24 hours', ms: 24 * 60 * 60 * 1000 },
+  weekly: { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+
+const LEVEL_NAMES = { none: 'unverified', phone: 'phone-verified', full: 'fully verified' };
+
+class CashoutService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      minimumAmount: 1.00,
+      limits: {
+        // Per payout-verification level - unknown levels get 'none'
+        byLevel: {
+          none: { daily: 10.00, weekly: 25.00 },
+          phone: { daily: 50.00, weekly: 200.00 },
+          full: { daily: 250.00, weekly: 1000.00 }
+        },
+        // The level's limits are multiplied by the highest tier the account's age reaches
+        accountAge: [
+          { minDays: 0, multiplier: 0.5 },
+          { minDays: 30, multiplier: 1 }
+        ]
+      },
+      methods: [
+        { id: 'paypal', name: 'PayPal', minAmount: 1.00, fee: 0, processingTime: 'Instant - 24 hours' },
+        { id: 'cashapp', name: 'Cash App', minAmount: 1.00, fee: 0, processingTime: 'Instant - 24 hours' },
+        { id: 'venmo', name: 'Venmo', minAmount: 5.00, fee: 0, processingTime: 'Instant - 24 hours' },
+        { id: 'crypto_usdc', name: 'USDC (Crypto)', minAmount: 10.00, fee: 0, processingTime: 'Instant' },
+        { id: 'amazon', name: 'Amazon Gift Card', minAmount: 5.00, fee: 0, processingTime: 'Instant' }
+      ],
+      ...config
+    };
+    this.balanceService = deps.balanceService;
+    // Approved cashouts whose method has a provider are queued to send automatically
+    this.payoutProviders = deps.payoutProviders || null;
+    this.verificationLevel = deps.verificationLevel || verificationLevel;
+  }
+
+  /**
+   * Balance, methods and remaining limits for the cashout screen
+   */
+  async getOptions(userId) {
+    const [balance, user, level] = await Promise.all([
+      this.balanceService.getBalance(userId),
+      db.query('SELECT created_at FROM users WHERE id = $1', [userId]),
+      this.verificationLevel(userId)
+    ]);
+    if (!user.rows[0]) throw cashoutError('USER_NOT_FOUND', 'User not found');
+
+    const limits = await this._limits(userId, level, user.rows[0].created_at);
+    return {
+      balance: balance.available,
+      held: balance.held,
+      methods: this.config.methods,
+      limits: {
+        minimum: this.config.minimumAmount,
+        level: limits.level,
+        accountAgeDays: limits.accountAgeDays,
+        daily: limits.daily.max,
+        weekly: limits.weekly.max,
+        dailyRemaining: limits.daily.remaining,
+        weeklyRemaining: limits.weekly.remaining
+      }
+    };
+  }
+
+  /**
+   * Request a cashout and hold the amount - requested and held in one transaction
+   * A retry with the same idempotency key returns the original cashout
+   */
+  async request(userId, { amount, method, destination, idempotencyKey = null } = {}) {
+    const value = Math.round(Number(amount) * 100) / 100;
+    const methodConfig = this.config.methods.find(m => m.id === method);
+    if (!Number.isFinite(value) || value < this.config.minimumAmount) {
+      throw cashoutError('INVALID_CASHOUT', `Minimum cashout is $${this.config.minimumAmount}`);
+    }
+    if (!methodConfig) {
+      throw cashoutError('INVALID_CASHOUT', 'Invalid cashout method');
+    }
+    if (value < methodConfig.minAmount) {
+      throw cashoutError('INVALID_CASHOUT', `Minimum for ${methodConfig.name} is $${methodConfig.minAmount}`);
+    }
+    if (!destination) {
+      throw cashoutError('INVALID_CASHOUT', 'destination is required');
+    }
+
+    // Looked up before the transaction - Mongo is slower than the row lock should be held for
+    const level = await this.verificationLevel(userId);
+
+    return this._inTransaction(async (tx) => {
+      // Locking the user serializes their requests, so concurrent ones can't both pass the limit check
+      const user = await tx.query('SELECT id, created_at FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (!user.rows[0]) throw cashoutError('USER_NOT_FOUND', 'User not found');
+
+      if (idempotencyKey) {
+        const existing = await tx.query(
+          'SELECT * FROM cashouts WHERE user_id = $1 AND idempotency_key = $2',
+          [userId, idempotencyKey]
+        );
+        if (existing.rows[0]) return { ...this._format(existing.rows[0]), replayed: true };
+      }
+
+      const limits = await this._limits(userId, level, user.rows[0].created_at, tx);
+      for (const name of Object.keys(WINDOWS)) {
+        if (value > limits[name].remaining) throw limitError(name, limits, value);
+      }
+
+      const inserted = await tx.query(
+        `INSERT INTO cashouts (user_id, amount, fee, method, destination, idempotency_key)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [userId, value, methodConfig.fee, method, destination, idempotencyKey]
+      );
+      await this._event(tx, inserted.rows[0].id, null, 'requested', userId, null);
+
+      return this._transition(tx, inserted.rows[0], 'held', { actorId: userId });
+    });
+  }
+
+  /**
+   * Move a cashout to a new state, applying its ledger effect
+   * options: actorId, note, provider and transactionId (paid), reason (failed)
+   */
+  async transition(cashoutId, to, options = {}) {
+    return this._inTransaction(async (tx) => {
+      const cashout = await this._lock(tx, cashoutId);
+      return this._transition(tx, cashout, to, options);
+    });
+  }
+
+  /**
+   * User cancellation - only their own, and only before sending
+   */
+  async cancel(cashoutId, userId) {
+    return this._inTransaction(async (tx) => {
+      const cashout = await this._lock(tx, cashoutId);
+      if (String(cashout.user_id) !== String(userId)) {
+        throw cashoutError('CASHOUT_NOT_FOUND', 'Cashout not found');
+      }
+      if (!CANCELLABLE.includes(cashout.status)) {
+        throw cashoutError('INVALID_TRANSITION', `A ${cashout.status} cashout can't be cancelled`);
+      }
+      return this._transition(tx, cashout, 'cancelled', { actorId: userId, note: 'Cancelled by user' });
+    });
+  }
+
+  /**
+   * Record an admin review decision and move the cashout to match, in one transaction
+   * reject and hold_kyc need a note; risk is the context the decision was made on
+   */
+  async review(cashoutId, decision, { adminId, note = null, risk = null, bulk = false } = {}) {
+    if (!DECISIONS[decision]) {
+      throw cashoutError('INVALID_DECISION', `decision must be one of ${Object.keys(DECISIONS).join(', ')}`);
+    }
+    if (decision !== 'approve' && !(typeof note === 'string' && note.trim())) {
+      throw cashoutError('INVALID_DECISION', `A note is required to ${decision === 'reject' ? 'reject' : 'hold for KYC'}`);
+    }
+
+    return this._inTransaction(async (tx) => {
+      const cashout = await this._lock(tx, cashoutId);
+      if (!REVIEWABLE.includes(cashout.status)) {
+        throw cashoutError('INVALID_TRANSITION', `Cashout is ${cashout.status}, not waiting for review`);
+      }
+
+      const updated = await this._transition(tx, cashout, DECISIONS[decision], { actorId: adminId, note });
+      const inserted = await tx.query(
+        `INSERT INTO cashout_reviews
+           (cashout_id, user_id, decision, from_status, to_status, admin_id, note, risk_score, risk, bulk)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          cashout.id,
+          cashout.user_id,
+          decision,
+          cashout.status,
+          updated.status,
+          adminId,
+          note,
+          risk ? risk.score : null,
+          risk ? JSON.stringify(risk) : null,
+          bulk
+        ]
+      );
+      return { ...updated, review: formatReview(inserted.rows[0]) };
+    });
+  }
+
+  /**
+   * Review decisions newest first, by cashout and/or admin
+   */
+  async listReviews({ cashoutId, adminId, limit = 50 } = {}) {
+    const result = await db.query(
+      `SELECT * FROM cashout_reviews
+       WHERE ($1::integer IS NULL OR cashout_id = $1) AND ($2::integer IS NULL OR admin_id = $2)
+       ORDER BY id DESC
+       LIMIT $3`,
+      [cashoutId || null, adminId || null, limit]
+    );
+    return result.rows.map(formatReview);
+  }
+
+  /**
+   * A cashout with its status history - scoped to a user unless userId is null
+   */
+  async get(cashoutId, userId = null) {
+    const result = await db.query(
+      `SELECT * FROM cashouts WHERE id = $1 AND ($2::integer IS NULL OR user_id = $2)`,
+      [cashoutId, userId]
+    );
+    if (!result.rows[0]) return null;
+
+    const events = await db.query(
+      'SELECT * FROM cashout_events WHERE cashout_id = $1 ORDER BY id',
+      [cashoutId]
+    );
+    return { ...this._format(result.rows[0]), history: events.rows.map(formatEvent) };
+  }
+
+  /**
+   * Several cashouts with their status histories in two queries, in the order of ids
+   */
+  async getMany(cashoutIds) {
+    if (cashoutIds.length === 0) return [];
+    const [result, events] = await Promise.all([
+      db.query('SELECT * FROM cashouts WHERE id = ANY($1::integer[])', [cashoutIds]),
+      db.query('SELECT * FROM cashout_events WHERE cashout_id = ANY($1::integer[]) ORDER BY id', [cashoutIds])
+    ]);
+
+    const byId = new Map(result.rows.map(row => [row.id, { ...this._format(row), history: [] }]));
+    for (const event of events.rows) {
+      byId.get(event.cashout_id).history.push(formatEvent(event));
+    }
+    return cashoutIds.map(id => byId.get(Number(id))).filter(Boolean);
+  }
+
+  /**
+   * A user's cashouts, newest first
+   */
+  async getHistory(userId, { status, limit = 20 } = {}) {
+    const result = await db.query(
+      `SELECT * FROM cashouts
+       WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY id DESC
+       LIMIT $3`,
+      [userId, status || null, limit]
+    );
+    return result.rows.map(row => this._format(row));
+  }
+
+  async _transition(tx, cashout, to, { actorId = null, note = null, provider = null, transactionId = null, reason = null } = {}) {
+    if (!(TRANSITIONS[cashout.status] || []).includes(to)) {
+      throw cashoutError('INVALID_TRANSITION', `Can't move a ${cashout.status} cashout to ${to}`);
+    }
+    if (to === 'paid' && !transactionId) {
+      throw cashoutError('INVALID_CASHOUT', 'A paid cashout needs the payout transactionId');
+    }
+
+    const amount = parseFloat(cashout.amount);
+    const fields = {};
+    if (to === 'held') {
+      const hold = await this.balanceService.hold(cashout.user_id, amount, `Cashout via ${cashout.method}`, {
+        type: 'cashout',
+        referenceId: `cashout:${cashout.id}`,
+        client: tx
+      });
+      fields.hold_transaction_id = hold.id;
+    } else if (to === 'cancelled' || to === 'failed') {
+      const release = await this.balanceService.releaseHold(cashout.user_id, amount, `Cashout ${to} - funds returned`, {
+        type: 'cashout_refund',
+        referenceId: `cashout:${cashout.id}`,
+        client: tx
+      });
+      fields.release_transaction_id = release.id;
+      fields.failure_reason = reason || note;
+    } else if (to === 'approved' && this.payoutProviders && this.payoutProviders.supports(cashout.method)) {
+      await tx.query(
+        'INSERT INTO payout_jobs (cashout_id) VALUES ($1) ON CONFLICT (cashout_id) DO NOTHING',
+        [cashout.id]
+      );
+    } else if (to === 'paid') {
+      // Referenced like provider postbacks so reconciliation can match payout reports
+      const payoutProvider = provider || cashout.provider || cashout.method;
+      const settle = await this.balanceService.settleHold(cashout.user_id, amount, `Cashout paid via ${payoutProvider}`, {
+        type: 'cashout',
+        referenceId: `${payoutProvider}:${transactionId}`,
+        client: tx
+      });
+      Object.assign(fields, {
+        provider: payoutProvider,
+        provider_transaction_id: String(transactionId),
+        settle_transaction_id: settle.id,
+        paid_at: new Date()
+      });
+    } else if (to === 'refunded') {
+      // The payout bounced after it was sent - the money is back with us. Referenced like the
+      // paid settlement so reconciliation matches the provider's return against the payout
+      const refund = await this.balanceService.credit(cashout.user_id, amount, 'Cashout returned by payout provider', {
+        type: 'cashout_refund',
+        referenceId: `${cashout.provider}:${cashout.provider_transaction_id}`,
+        client: tx
+      });
+      fields.release_transaction_id = refund.id;
+      fields.failure_reason = reason || note;
+    }
+
+    const columns = Object.keys(fields);
+    const updated = await tx.query(
+      `UPDATE cashouts
+       SET status = $2, updated_at = NOW()${columns.map((column, i) => `, ${column} = $${i + 3}`).join('')}
+       WHERE id = $1
+       RETURNING *`,
+      [cashout.id, to, ...Object.values(fields)]
+    );
+    await this._event(tx, cashout.id, cashout.status, to, actorId, note || reason);
+    return this._format(updated.rows[0]);
+  }
+
+  async _lock(tx, cashoutId) {
+    const locked = await tx.query('SELECT * FROM cashouts WHERE id = $1 FOR UPDATE', [cashoutId]);
+    if (!locked.rows[0]) throw cashoutError('CASHOUT_NOT_FOUND', 'Cashout not found');
+    return locked.rows[0];
+  }
+
+  async _event(tx, cashoutId, from, to, actorId, note) {
+    await tx.query(
+      'INSERT INTO cashout_events (cashout_id, from_status, to_status, actor_id, note) VALUES ($1, $2, $3, $4, $5)',
+      [cashoutId, from, to, actorId, note]
+    );
+  }
+
+  /**
+   * The user's limits with what's used of each rolling window
+   * Cashouts that gave the money back (cancelled, failed, refunded) don't count
+   */
+  async _limits(userId, level, createdAt, client = null) {
+    const { byLevel, accountAge } = this.config.limits;
+    const levelLimits = byLevel[level] ? level : 'none';
+    const accountAgeDays = Math.floor((Date.now() - new Date(createdAt).getTime()) / WINDOWS.daily.ms);
+    const tiers = [...accountAge].sort((a, b) => a.minDays - b.minDays);
+    const tier = tiers.filter(t => accountAgeDays >= t.minDays).pop() || { minDays: 0, multiplier: 1 };
+
+    const result = await (client || db).query(
+      `SELECT amount, created_at FROM cashouts
+       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '7 days'
+         AND status NOT IN ('cancelled', 'failed', 'refunded')
+       ORDER BY created_at`,
+      [userId]
+    );
+    const now = Date.now();
+    const limits = {
+      level: levelLimits,
+      accountAgeDays,
+      multiplier: tier.multiplier,
+      nextTier: tiers.find(t => t.minDays > tier.minDays) || null
+    };
+    for (const [name, window] of Object.entries(WINDOWS)) {
+      const cashouts = result.rows
+        .map(row => ({ amount: parseFloat(row.amount), at: new Date(row.created_at) }))
+        .filter(c => c.at.getTime() >= now - window.ms);
+      const max = round(byLevel[levelLimits][name] * tier.multiplier);
+      const used = round(cashouts.reduce((sum, c) => sum + c.amount, 0));
+      limits[name] = { max, used, remaining: round(Math.max(0, max - used)), cashouts, window };
+    }
+    return limits;
+  }
+
+  async _inTransaction(fn) {
+    const tx = await db.pool.connect();
+    try {
+      await tx.query('BEGIN');
+      const result = await fn(tx);
+      await tx.query('COMMIT');
+      return result;
+    } catch (err) {
+      await tx.query('ROLLBACK');
+      throw err;
+    } finally {
+      tx.release();
+    }
+  }
+
+  _format(row) {
+    const amount = parseFloat(row.amount);
+    const fee = parseFloat(row.fee || 0);
+    return {
+      cashoutId: row.id,
+      userId: row.user_id,
+      amount,
+      fee,
+      netAmount: round(amount - fee),
+      method: row.method,
+      destination: row.destination,
+      status: row.status,
+      provider: row.provider,
+      providerTransactionId: row.provider_transaction_id,
+      failureReason: row.failure_reason,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      paidAt: row.paid_at
+    };
+  }
+}
+
+function formatEvent(row) {
+  return {
+    from: row.from_status,
+    to: row.to_status,
+    actorId: row.actor_id,
+    note: row.note,
+    at: row.created_at
+  };
+}
+
+function formatReview(row) {
+  return {
+    id: row.id,
+    cashoutId: row.cashout_id,
+    userId: row.user_id,
+    decision: row.decision,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    adminId: row.admin_id,
+    note: row.note,
+    riskScore: row.risk_score,
+    risk: row.risk,
+    bulk: row.bulk,
+    createdAt: row.created_at
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Verification level from the payout-verification record - 'none' when there isn't one
+ * or Mongo is down, so an outage means the lowest limits rather than no limits
+ */
+async function verificationLevel(userId) {
+  if (mongoose.connection.readyState !== 1) return 'none';
+  try {
+    const verification = await Verification.findOne({ userId });
+    return verification ? verification.level : 'none';
+  } catch (err) {
+    console.error('Cashout verification lookup error:', err.message);
+    return 'none';
+  }
+}
+
+/**
+ * LIMIT_EXCEEDED naming the window, the level and account age behind it, and when
+ * enough of the window rolls off for this amount to fit (null if it never will)
+ */
+function limitError(name, limits, requested) {
+  const { max, used, remaining, cashouts, window } = limits[name];
+  let availableAt = null;
+  if (requested <= max) {
+    let freed = 0;
+    for (const cashout of cashouts) {
+      freed += cashout.amount;
+      if (round(used - freed + requested) <= max) {
+        availableAt = new Date(cashout.at.getTime() + window.ms);
+        break;
+      }
+    }
+  }
+
+  const age = limits.multiplier !== 1 && limits.nextTier
+    ? ` under ${limits.nextTier.minDays} days old`
+    : '';
+  const label = name === 'daily' ? 'Daily' : 'Weekly';
+  const err = cashoutError(
+    'LIMIT_EXCEEDED',
+    `${label} cashout limit for ${LEVEL_NAMES[limits.level]} accounts${age} is $${max.toFixed(2)} per ${window.label} - ` +
+      `$${used.toFixed(2)} already requested, $${remaining.toFixed(2)} left`
+  );
+  err.details = {
+    limit: name,
+    window: window.label,
+    level: limits.level,
+    accountAgeDays: limits.accountAgeDays,
+    multiplier: limits.multiplier,
+    max,
+    used,
+    remaining,
+    requested,
+    availableAt
+  };
+  return err;
+}
+
+function cashoutError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = CashoutService;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.DECISIONS = DECISIONS;
+module.exports.REVIEWABLE = REVIEWABLE;
@@ -0,0 +1,236 @@
+/**
+ * Payout Queue
+ * Sends approved cashouts through the payout providers from a Postgres-backed job queue,
+ * retrying transient failures with backoff and failing (refunding) the cashout on permanent ones
+ */
+
+const cron = require('node-cron');
+const db = require('../database/db');
+
+class PayoutQueue {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      cron: '* * * * *',
+      batchSize: 20,
+      currency: 'USD',
+      maxAttempts: 5,
+      // Wait before retry n is backoffSeconds * 2^(n-1), capped at maxBackoffSeconds
+      backoffSeconds: 60,
+      maxBackoffSeconds: 3600,
+      // A send taking longer than this counts as a transient failure
+      sendTimeoutSeconds: 30,
+      // Jobs left processing this long (the process died mid-send) are picked up again
+      lockTimeoutMinutes: 10,
+      ...config
+    };
+    this.cashoutService = deps.cashoutService;
+    this.payoutProviders = deps.payoutProviders;
+    this.running = false;
+  }
+
+  /**
+   * Claim the jobs that are due and send each one
+   * Overlapping calls are skipped - the next tick picks up anything left
+   */
+  async processDue() {
+    if (this.running) return { skipped: true };
+    this.running = true;
+
+    try {
+      const jobs = await this._claim();
+      const results = [];
+      for (const job of jobs) {
+        try {
+          results.push(await this._process(job));
+        } catch (err) {
+          console.error(`Payout job ${job.id} error:`, err.message);
+          results.push(await this._retryOrFail(job, err.message).catch(failErr => {
+            console.error(`Payout job ${job.id} error:`, failErr.message);
+            return { jobId: job.id, cashoutId: job.cashout_id, status: 'error', error: failErr.message };
+          }));
+        }
+      }
+      return { processed: results.length, results };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run processDue on the configured cron schedule
+   */
+  schedule() {
+    return cron.schedule(this.config.cron, async () => {
+      try {
+        const { processed } = await this.processDue();
+        if (processed > 0) console.log(`💸 Processed ${processed} payout job(s)`);
+      } catch (err) {
+        console.error('Payout queue error:', err.message);
+      }
+    });
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    const result = await db.query(
+      `SELECT * FROM payout_jobs
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY id DESC
+       LIMIT $2`,
+      [status || null, limit]
+    );
+    return result.rows.map(row => this._format(row));
+  }
+
+  /**
+   * Mark due jobs processing and count the attempt - SKIP LOCKED keeps concurrent workers apart
+   */
+  async _claim() {
+    const result = await db.query(
+      `UPDATE payout_jobs
+       SET status = 'processing', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM payout_jobs
+         WHERE (status = 'queued' AND next_attempt_at <= NOW())
+            OR (status = 'processing' AND locked_at < NOW() - make_interval(mins => $2))
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [this.config.batchSize, this.config.lockTimeoutMinutes]
+    );
+    return result.rows;
+  }
+
+  async _process(job) {
+    const found = await db.query('SELECT * FROM cashouts WHERE id = $1', [job.cashout_id]);
+    const cashout = found.rows[0];
+
+    // Cancelled, or settled by hand, since it was queued
+    if (!cashout || !['approved', 'sending'].includes(cashout.status)) {
+      const status = cashout ? cashout.status : 'missing';
+      await this._finish(job, 'cancelled', { error: `Cashout is ${status}` });
+      return { jobId: job.id, cashoutId: job.cashout_id, status: 'cancelled' };
+    }
+    if (cashout.status === 'approved') {
+      await this.cashoutService.transition(cashout.id, 'sending', { note: 'Sent to payout provider' });
+    }
+
+    const amount = Math.round((parseFloat(cashout.amount) - parseFloat(cashout.fee || 0)) * 100) / 100;
+    const result = await this._send({
+      method: cashout.method,
+      destination: cashout.destination,
+      amount,
+      currency: this.config.currency,
+      reference: `cashout:${cashout.id}`
+    });
+
+    if (result.success) {
+      // Recorded first, so the provider's id survives even if settling fails - the money has
+      // gone, so a settle error is left for reconciliation rather than retried or refunded
+      await this._finish(job, 'succeeded', { provider: result.provider, transactionId: result.transactionId });
+      try {
+        await this.cashoutService.transition(cashout.id, 'paid', {
+          provider: result.provider,
+          transactionId: result.transactionId
+        });
+      } catch (err) {
+        console.error(`Payout job ${job.id} settle error:`, err.message);
+        await db.query('UPDATE payout_jobs SET last_error = $2 WHERE id = $1', [job.id, `Paid but not settled: ${err.message}`]);
+        return { jobId: job.id, cashoutId: job.cashout_id, status: 'unsettled', transactionId: result.transactionId };
+      }
+      return { jobId: job.id, cashoutId: job.cashout_id, status: 'paid', transactionId: result.transactionId };
+    }
+
+    if (result.retryable) {
+      return this._retryOrFail(job, result.error, { uncertain: result.code === 'TIMEOUT' || Boolean(result.uncertain) });
+    }
+    return this._fail(job, result.error);
+  }
+
+  /**
+   * The provider call, with a timeout - a timed-out send may still land, which the
+   * reference (sent as the provider's idempotency key) makes safe to retry
+   */
+  async _send(payout) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(
+        () => resolve({ success: false, error: 'Payout provider timed out', code: 'TIMEOUT', retryable: true }),
+        this.config.sendTimeoutSeconds * 1000
+      );
+    });
+    try {
+      return await Promise.race([this.payoutProviders.sendCashout(payout), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Queue the next attempt, or give up once maxAttempts is reached
+   * If the last attempt timed out the payout may have gone through, so the cashout
+   * is left sending for an admin to settle or fail rather than refunded
+   */
+  async _retryOrFail(job, error, { uncertain = false } = {}) {
+    if (job.attempts >= this.config.maxAttempts) {
+      const reason = `${error} (gave up after ${job.attempts} attempts)`;
+      if (uncertain) {
+        await this._finish(job, 'failed', { error: `${reason} - check with the provider before failing the cashout` });
+        return { jobId: job.id, cashoutId: job.cashout_id, status: 'needs_review', error: reason };
+      }
+      return this._fail(job, reason);
+    }
+
+    const delay = Math.min(this.config.backoffSeconds * 2 ** (job.attempts - 1), this.config.maxBackoffSeconds);
+    await db.query(
+      `UPDATE payout_jobs
+       SET status = 'queued', next_attempt_at = NOW() + make_interval(secs => $2), last_error = $3,
+           locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, delay, error]
+    );
+    return { jobId: job.id, cashoutId: job.cashout_id, status: 'retrying', retryInSeconds: delay, error };
+  }
+
+  /**
+   * Permanent failure - the cashout moves to failed (cancelled if it never got to sending),
+   * either of which returns the held amount
+   */
+  async _fail(job, error) {
+    await this._finish(job, 'failed', { error });
+    const cashout = await this.cashoutService.get(job.cashout_id);
+    if (cashout && ['approved', 'sending'].includes(cashout.status)) {
+      const to = cashout.status === 'approved' ? 'cancelled' : 'failed';
+      await this.cashoutService.transition(job.cashout_id, to, { reason: error });
+    }
+    return { jobId: job.id, cashoutId: job.cashout_id, status: 'failed', error };
+  }
+
+  async _finish(job, status, { provider = null, transactionId = null, error = null } = {}) {
+    await db.query(
+      `UPDATE payout_jobs
+       SET status = $2, provider = $3, provider_transaction_id = $4, last_error = COALESCE($5, last_error),
+           locked_at = NULL, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, status, provider, transactionId, error]
+    );
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      cashoutId: row.cashout_id,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.last_error,
+      provider: row.provider,
+      providerTransactionId: row.provider_transaction_id,
+      createdAt: row.created_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = PayoutQueue;
@@ -0,0 +1,328 @@
+/**
+ * Cashout Review Queue
+ * Cashouts waiting on an admin, each with the user's risk context, and the decisions made on them
+ */
+
+const mongoose = require('mongoose');
+const db = require('../database/db');
+const notifications = require('../../notifications/services/notificationService');
+const { REVIEWABLE } = require('./cashouts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CashoutReviewService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      // Scores at or below this are low risk and can be bulk approved; at or above highRiskScore are high
+      lowRiskMaxScore: 20,
+      highRiskScore: 50,
+      reversalWindowDays: 90,
+      newAccountDays: 30,
+      maxBulk: 100,
+      // Points each factor adds to the 0-100 score - the fraud module's own risk score is added as is
+      points: {
+        newAccount: 15,
+        perSharedDeviceUser: 15,
+        perReversalPercent: 1,
+        verification: { none: 20, phone: 5, full: 0 }
+      },
+      ...config
+    };
+    this.cashoutService = deps.cashoutService;
+    this.fraudService = deps.fraudService || null;
+    this.notifier = deps.notifier || notifications;
+  }
+
+  /**
+   * Cashouts waiting for a decision, oldest first, each with its user's risk context
+   * risk filters to one level (low, medium, high) - the risk is scored here, not stored,
+   * so pages are read in batches until limit cashouts match. Pass nextCursor back as
+   * cursor for the next page; it's null once the queue is exhausted
+   */
+  async queue({ status, risk, limit = 50, cursor = null } = {}) {
+    const statuses = REVIEWABLE.includes(status) ? [status] : REVIEWABLE;
+    let afterId = cursor ? decodeCursor(cursor) : 0;
+
+    const contexts = new Map();
+    const items = [];
+    while (items.length < limit) {
+      const result = await db.query(
+        `SELECT id, user_id FROM cashouts
+         WHERE status = ANY($1) AND id > $2
+         ORDER BY id
+         LIMIT $3`,
+        [statuses, afterId, limit]
+      );
+      if (result.rows.length === 0) return { items, nextCursor: null };
+
+      const userIds = [...new Set(result.rows.map(row => row.user_id))].filter(id => !contexts.has(id));
+      const [cashouts, fetched] = await Promise.all([
+        this.cashoutService.getMany(result.rows.map(row => row.id)),
+        this.riskContexts(userIds)
+      ]);
+      fetched.forEach((context, userId) => contexts.set(userId, context));
+
+      for (const cashout of cashouts) {
+        afterId = cashout.cashoutId;
+        const context = contexts.get(cashout.userId);
+        if (risk && context.risk.level !== risk) continue;
+        items.push({ ...cashout, ...context });
+        if (items.length === limit) break;
+      }
+      if (result.rows.length < limit && items.length < limit) return { items, nextCursor: null };
+    }
+    return { items, nextCursor: encodeCursor(afterId) };
+  }
+
+  /**
+   * What an admin needs to judge a user's cashout, and a score built from it
+   */
+  async riskContext(userId) {
+    const contexts = await this.riskContexts([Number(userId)]);
+    return contexts.get(Number(userId));
+  }
+
+  /**
+   * riskContext for several users, keyed by user id - the Postgres lookups are one query each,
+   * verification and fraud history (per-user APIs) run side by side
+   */
+  async riskContexts(userIds) {
+    if (userIds.length === 0) return new Map();
+    const [users, levels, frauds, devices, reversals] = await Promise.all([
+      db.query('SELECT id, email, created_at FROM users WHERE id = ANY($1::integer[])', [userIds]),
+      Promise.all(userIds.map(userId => this.cashoutService.verificationLevel(userId))),
+      Promise.all(userIds.map(userId => this._fraud(userId))),
+      this._devices(userIds),
+      this._reversals(userIds)
+    ]);
+    const usersById = new Map(users.rows.map(row => [row.id, row]));
+
+    const contexts = new Map();
+    userIds.forEach((userId, i) => {
+      const user = usersById.get(Number(userId));
+      const context = {
+        user: {
+          id: Number(userId),
+          email: user ? user.email : null,
+          accountAgeDays: user ? Math.floor((Date.now() - new Date(user.created_at).getTime()) / DAY_MS) : null,
+          verificationLevel: levels[i]
+        },
+        fraud: frauds[i],
+        devices: devices.get(Number(userId)) || [],
+        reversals: reversals.get(Number(userId)) || { completed: 0, reversed: 0, rate: 0 }
+      };
+      contexts.set(Number(userId), { ...context, risk: this._score(context) });
+    });
+    return contexts;
+  }
+
+  /**
+   * Approve, reject (funds returned) or hold for KYC, recording the risk context it was decided on
+   */
+  async decide(cashoutId, decision, adminId, note = null) {
+    const cashout = await this.cashoutService.get(cashoutId);
+    if (!cashout) {
+      const err = new Error('Cashout not found');
+      err.code = 'CASHOUT_NOT_FOUND';
+      throw err;
+    }
+
+    const { risk } = await this.riskContext(cashout.userId);
+    const reviewed = await this.cashoutService.review(cashoutId, decision, { adminId, note, risk });
+    await this._notify(reviewed, decision, note);
+    return reviewed;
+  }
+
+  /**
+   * Approve several cashouts at once - each is re-scored now and only approved if still low risk
+   * Returns what was approved and why the rest were skipped
+   */
+  async bulkApprove(cashoutIds, adminId, note = null) {
+    const ids = [...new Set(cashoutIds || [])];
+    if (ids.length === 0 || ids.length > this.config.maxBulk) {
+      const err = new Error(`cashoutIds must list 1 to ${this.config.maxBulk} cashouts`);
+      err.code = 'INVALID_DECISION';
+      throw err;
+    }
+
+    const approved = [];
+    const skipped = [];
+    for (const cashoutId of ids) {
+      try {
+        const cashout = await this.cashoutService.get(cashoutId);
+        if (!cashout) {
+          skipped.push({ cashoutId, reason: 'Cashout not found' });
+          continue;
+        }
+
+        const { risk } = await this.riskContext(cashout.userId);
+        if (risk.level !== 'low') {
+          skipped.push({ cashoutId, reason: `Risk is ${risk.level} (score ${risk.score})`, risk });
+          continue;
+        }
+
+        approved.push(await this.cashoutService.review(cashoutId, 'approve', { adminId, note, risk, bulk: true }));
+      } catch (err) {
+        if (!err.code) throw err;
+        skipped.push({ cashoutId, reason: err.message });
+      }
+    }
+    return { approved, skipped };
+  }
+
+  /**
+   * Score 0-100 with the points behind it, so the level can be explained
+   */
+  _score({ user, fraud, devices, reversals }) {
+    const { points, newAccountDays } = this.config;
+    const factors = [];
+
+    if (fraud.score > 0) {
+      factors.push({ factor: 'fraud_events', points: fraud.score, detail: `${fraud.unresolved} unresolved fraud event(s)` });
+    }
+    if (user.accountAgeDays !== null && user.accountAgeDays < newAccountDays) {
+      factors.push({ factor: 'new_account', points: points.newAccount, detail: `Account is ${user.accountAgeDays} day(s) old` });
+    }
+    const verificationPoints = points.verification[user.verificationLevel] || 0;
+    if (verificationPoints > 0) {
+      factors.push({ factor: 'verification', points: verificationPoints, detail: `Verification level is ${user.verificationLevel}` });
+    }
+    const sharedWith = new Set(devices.flatMap(d => d.sharedWithUserIds)).size;
+    if (sharedWith > 0) {
+      factors.push({
+        factor: 'shared_device',
+        points: sharedWith * points.perSharedDeviceUser,
+        detail: `Devices shared with ${sharedWith} other account(s)`
+      });
+    }
+    if (reversals.rate > 0) {
+      factors.push({
+        factor: 'survey_reversals',
+        points: Math.round(reversals.rate * 100 * points.perReversalPercent),
+        detail: `${reversals.reversed} of ${reversals.completed} surveys reversed in ${this.config.reversalWindowDays} days`
+      });
+    }
+
+    const score = Math.min(100, factors.reduce((sum, f) => sum + f.points, 0));
+    let level = 'medium';
+    if (score >= this.config.highRiskScore) level = 'high';
+    // Without fraud history nothing counts as low risk, so bulk approval waits for it
+    else if (score <= this.config.lowRiskMaxScore && fraud.available) level = 'low';
+    return { score, level, factors, fraudHistoryAvailable: fraud.available };
+  }
+
+  /**
+   * Recent fraud events and the fraud module's risk score - unavailable when Mongo is down
+   */
+  async _fraud(userId) {
+    if (!this.fraudService || mongoose.connection.readyState !== 1) {
+      return { available: false, score: 0, unresolved: 0, events: [] };
+    }
+
+    const [score, events] = await Promise.all([
+      this.fraudService.getUserRiskScore(userId),
+      this.fraudService.getUserEvents(String(userId), 20)
+    ]);
+    return {
+      available: true,
+      score,
+      unresolved: events.filter(e => !e.resolved).length,
+      events: events.map(e => ({
+        type: e.eventType,
+        severity: e.severity,
+        action: e.action,
+        resolved: e.resolved,
+        createdAt: e.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Each user's 10 most recent device fingerprints from their survey sessions, and which
+   * other users share them - keyed by user id
+   */
+  async _devices(userIds) {
+    const result = await db.query(
+      `SELECT * FROM (
+         SELECT s.user_id, s.device_fingerprint AS fingerprint, COUNT(*) AS sessions, MAX(s.started_at) AS last_seen,
+           ARRAY(
+             SELECT DISTINCT o.user_id FROM survey_sessions o
+             WHERE o.device_fingerprint = s.device_fingerprint AND o.user_id <> s.user_id
+           ) AS shared_with,
+           ROW_NUMBER() OVER (PARTITION BY s.user_id ORDER BY MAX(s.started_at) DESC) AS rank
+         FROM survey_sessions s
+         WHERE s.user_id = ANY($1::integer[]) AND s.device_fingerprint IS NOT NULL
+         GROUP BY s.user_id, s.device_fingerprint
+       ) devices
+       WHERE rank <= 10
+       ORDER BY user_id, last_seen DESC`,
+      [userIds]
+    );
+
+    const byUser = new Map();
+    for (const row of result.rows) {
+      if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+      byUser.get(row.user_id).push({
+        fingerprint: row.fingerprint,
+        sessions: parseInt(row.sessions),
+        lastSeen: row.last_seen,
+        sharedWithUserIds: row.shared_with
+      });
+    }
+    return byUser;
+  }
+
+  /**
+   * Share of each user's survey completions the provider later reversed - keyed by user id
+   */
+  async _reversals(userIds) {
+    const result = await db.query(
+      `SELECT user_id, COUNT(*) AS completed, COUNT(reversed_at) AS reversed
+       FROM survey_postbacks
+       WHERE user_id = ANY($1::integer[]) AND status = 'completed' AND created_at >= NOW() - make_interval(days => $2)
+       GROUP BY user_id`,
+      [userIds, this.config.reversalWindowDays]
+    );
+
+    const byUser = new Map();
+    for (const row of result.rows) {
+      const completed = parseInt(row.completed);
+      const reversed = parseInt(row.reversed);
+      byUser.set(row.user_id, { completed, reversed, rate: completed ? Math.round((reversed / completed) * 1000) / 1000 : 0 });
+    }
+    return byUser;
+  }
+
+  async _notify(cashout, decision, note) {
+    const amount = `$${cashout.amount.toFixed(2)}`;
+    const messages = {
+      reject: `Your ${amount} cashout was declined and the amount returned to your balance: ${note}`,
+      hold_kyc: `Your ${amount} cashout is on hold until we can verify your identity: ${note}`
+    };
+    if (!messages[decision]) return;
+
+    try {
+      await this.notifier.notifyUser(cashout.userId, messages[decision], 'cashout_review');
+    } catch (err) {
+      console.error('Cashout review notification error:', err.message);
+    }
+  }
+}
+
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Number.isInteger(id)) return id;
+  } catch (err) {
+    // Fall through to the error below
+  }
+  const err = new Error('Invalid cursor');
+  err.code = 'INVALID_FILTER';
+  throw err;
+}
+
+module.exports = CashoutReviewService;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authenticateToken: auth } = require('../middleware/auth');
 
 // Spin wheel configuration
 const SPIN_CONFIG = {
@@ -15,6 +16,20 @@ const SPIN_CONFIG = {
   cooldownHours: 24
 };
 
+let balanceService = null;
+
+// Initialize with the shared balance service
+const initService = (config = {}, service = null) => {
+  balanceService = service;
+};
+
+// Spins are limited to one per fixed cooldown window - its start is the spin's reference id
+const spinWindow = (now = Date.now()) => {
+  const length = SPIN_CONFIG.cooldownHours * 60 * 60 * 1000;
+  const start = Math.floor(now / length) * length;
+  return { start: new Date(start), end: new Date(start + length) };
+};
+
 // Get spin status
 router.get('/status/:userId', async (req, res) => {
   try {
@@ -49,13 +64,17 @@ router.get('/status/:userId', async (req, res) => {
   }
 });
 
-// Perform spin
-router.post('/spin/:userId', async (req, res) => {
+// Perform spin - credits the signed-in user, so the path must name them
+router.post('/spin/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // TODO: Check cooldown in database
-    // For now, always allow
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (String(req.user.id) !== String(userId)) {
+      return res.status(403).json({ error: 'You can only spin for yourself' });
+    }
     
     // Weighted random selection
     const totalWeight = SPIN_CONFIG.prizes.reduce((sum, p) => sum + p.weight, 0);
@@ -70,10 +89,24 @@ router.post('/spin/:userId', async (req, res) => {
       }
     }
     
-    // TODO: Save to database
-    // 1. Record spin timestamp
-    // 2. Add winnings to user balance
-    // 3. Create transaction record
+    // One credit per window - a second spin (or a retry) replays or conflicts with the first
+    const window = spinWindow();
+    const transaction = await balanceService.credit(req.user.id, selectedPrize.value, `Daily spin: ${selectedPrize.label}`, {
+      type: 'spin',
+      referenceId: `daily_spin:${window.start.toISOString()}`
+    }).catch(err => {
+      if (err.code === 'IDEMPOTENCY_CONFLICT') return { ...err.transaction, replayed: true };
+      throw err;
+    });
+    
+    if (transaction.replayed) {
+      const won = SPIN_CONFIG.prizes.find(p => p.value === transaction.amount);
+      return res.status(429).json({
+        error: 'Already spun - come back later',
+        prize: { value: transaction.amount, label: won ? won.label : `$${transaction.amount.toFixed(2)}` },
+        nextSpinAt: window.end.toISOString()
+      });
+    }
     
     const prizeIndex = SPIN_CONFIG.prizes.findIndex(p => p.value === selectedPrize.value);
     
@@ -85,7 +118,8 @@ router.post('/spin/:userId', async (req, res) => {
         index: prizeIndex
       },
       message: `🎉 You won ${selectedPrize.label}!`,
-      nextSpinAt: new Date(Date.now() + (SPIN_CONFIG.cooldownHours * 60 * 60 * 1000)).toISOString()
+      transactionId: transaction.id,
+      nextSpinAt: window.end.toISOString()
     });
   } catch (error) {
     console.error('Spin error:', error);
@@ -109,4 +143,5 @@ router.get('/history/:userId', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.initService = initService;
\ No newline at end of file
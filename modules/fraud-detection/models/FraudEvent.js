@@ -1,10 +1,11 @@
 ﻿const mongoose = require('mongoose');
 
 const fraudEventSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Postgres user id from the auth module
+  userId: { type: String, required: true },
   eventType: { 
     type: String, 
-    enum: ['velocity_exceeded', 'suspicious_timing', 'duplicate_device', 'vpn_detected', 'bot_behavior', 'honeypot_triggered'],
+    enum: ['velocity_exceeded', 'suspicious_timing', 'duplicate_device', 'vpn_detected', 'bot_behavior', 'honeypot_triggered', 'survey_reversed', 'survey_quality_failed'],
     required: true 
   },
   severity: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
@@ -16,7 +17,13 @@ const fraudEventSchema = new mongoose.Schema({
     completionTime: Number,
     expectedMinTime: Number,
     surveysThisHour: Number,
-    surveysToday: Number
+    surveysToday: Number,
+    provider: String,
+    transactionId: String,
+    amount: Number,
+    reversalsLast30Days: Number,
+    responseId: String,
+    failedChecks: [String]
   },
   action: { type: String, enum: ['logged', 'warned', 'blocked', 'banned'], default: 'logged' },
   resolved: { type: Boolean, default: false },
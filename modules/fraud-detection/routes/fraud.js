@@ -12,6 +12,7 @@ const FraudEvent = require('../models/FraudEvent');
 /**
  * GET /api/fraud/events
  * Get all unresolved fraud events (admin only)
+ * ?eventType=survey_quality_failed narrows to one type, including low/medium severity
  */
 router.get('/events', auth, adminOnly, async (req, res) => {
   try {
@@ -20,7 +21,7 @@ router.get('/events', auth, adminOnly, async (req, res) => {
       return res.status(503).json({ success: false, error: 'Fraud service not initialized' });
     }
     
-    const events = await fraudService.getUnresolvedEvents(100);
+    const events = await fraudService.getUnresolvedEvents(100, { eventType: req.query.eventType });
     res.json({ success: true, events });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
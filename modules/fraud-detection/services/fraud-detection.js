@@ -3,10 +3,14 @@
  * Coordinates all fraud checks and logging
  */
 
+const mongoose = require('mongoose');
 const FraudEvent = require('../models/FraudEvent');
 const FingerprintService = require('./fingerprint');
 const VelocityTracker = require('./velocity-tracker');
 
+// Risk points each unresolved event adds to a user's score (capped at 100)
+const SEVERITY_RISK = { low: 5, medium: 15, high: 35, critical: 70 };
+
 class FraudDetectionService {
   constructor(config = {}) {
     this.config = {
@@ -158,14 +162,45 @@ class FraudDetectionService {
   }
   
   /**
-   * Get all unresolved high-severity events (for admin)
+   * Risk score (0-100) from a user's recent unresolved events
+   * 0 when Mongo is down - callers shouldn't stall waiting on it
    */
-  async getUnresolvedEvents(limit = 100) {
-    return FraudEvent.find({ 
+  async getUserRiskScore(userId, days = 30) {
+    if (mongoose.connection.readyState !== 1) return 0;
+    
+    const events = await FraudEvent.find({
+      userId: String(userId),
       resolved: false,
-      severity: { $in: ['high', 'critical'] }
-    })
-      .populate('userId', 'email username')
+      createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    }).select('severity');
+    
+    const score = events.reduce((total, event) => total + (SEVERITY_RISK[event.severity] || 0), 0);
+    return Math.min(score, 100);
+  }
+  
+  /**
+   * Convert events logged while userId was an ObjectId to the string ids we query by now
+   * Only touches ObjectId values, so it's safe to run on every start
+   */
+  async backfillUserIds() {
+    const result = await FraudEvent.collection.updateMany(
+      { userId: { $type: 'objectId' } },
+      [{ $set: { userId: { $toString: '$userId' } } }]
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Fraud events: converted ${result.modifiedCount} ObjectId user ids to strings`);
+    }
+    return result.modifiedCount;
+  }
+  
+  /**
+   * Get all unresolved high-severity events (for admin)
+   * Filtering by eventType returns that type at every severity
+   */
+  async getUnresolvedEvents(limit = 100, { eventType } = {}) {
+    return FraudEvent.find(eventType
+      ? { resolved: false, eventType }
+      : { resolved: false, severity: { $in: ['high', 'critical'] } })
       .sort({ createdAt: -1 })
       .limit(limit);
   }
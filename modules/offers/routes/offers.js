@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken: auth } = require('../middleware/auth');
+const OfferwallProviders = require('../services/offerwalls');
+const OfferService = require('../services/offers');
+const PostbackService = require('../../surveys/services/postbacks');
+const InventoryCache = require('../../surveys/services/inventory-cache');
+const RevenueSharePolicy = require('../../surveys/services/revenue-share');
+
+// HTTP status for each postback rejection code
+const POSTBACK_ERROR_STATUS = {
+  UNKNOWN_PROVIDER: 404,
+  IP_NOT_ALLOWED: 403,
+  INVALID_SIGNATURE: 403,
+  INVALID_POSTBACK: 400,
+  STALE_POSTBACK: 400
+};
+
+let offerwalls = null;
+let offerService = null;
+let postbackService = null;
+let inventoryCache = null;
+let revenueShare = null;
+let surveyMatcher = null;
+
+// Initialize services with the brain.json "offers" section
+// revenueShare is the surveys policy unless offers override it; deps.surveyMatcher supplies the profile country
+const initServices = (config = {}, deps = {}) => {
+  offerwalls = new OfferwallProviders(config.providers || {});
+  surveyMatcher = deps.surveyMatcher || null;
+  inventoryCache = new InventoryCache(
+    { keyPrefix: 'offer_inventory', ...(config.inventory || {}), redisUrl: config.redisUrl },
+    { providers: offerwalls }
+  );
+  revenueShare = new RevenueSharePolicy({
+    timezone: deps.balanceService.config.timezone,
+    ...(config.revenueShare || {})
+  });
+  postbackService = new PostbackService({}, {
+    providers: offerwalls,
+    balanceService: deps.balanceService,
+    revenueShare
+  });
+  offerService = new OfferService(config.pending || {}, {
+    postbackService,
+    balanceService: deps.balanceService
+  });
+  offerService.trackReleases();
+  inventoryCache.schedule();
+};
+
+// Country to target: the user's survey profile, then the edge header - never the query string
+const requestCountry = async (req, userId) => {
+  const profile = surveyMatcher ? await surveyMatcher.getProfile(userId) : {};
+  return profile.country || req.headers['cf-ipcountry'];
+};
+
+// Offers without country targeting run everywhere
+const isAvailableIn = (offer, country) => {
+  const countries = (offer.targeting && offer.targeting.countries) || [];
+  if (countries.length === 0 || !country) return true;
+  return countries.map(c => String(c).toUpperCase()).includes(String(country).toUpperCase());
+};
+
+// User-facing offer: the user's cut per milestone, never the provider payout
+const withUserPayouts = (offer, share) => {
+  const milestones = offer.milestones.map(m => ({ id: m.id, title: m.title, payout: share.payout(m.providerPayout) }));
+  return {
+    ...offer,
+    milestones,
+    payout: Math.round(milestones.reduce((total, m) => total + m.payout, 0) * 100) / 100,
+    promotion: share.promotion
+  };
+};
+
+// Get available offers for user, best paying first
+router.get('/available/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!offerwalls) {
+      return res.status(503).json({ error: 'Offerwalls not initialized' });
+    }
+
+    const country = await requestCountry(req, userId);
+    const [inventory, tier] = await Promise.all([
+      inventoryCache.getAvailableSurveys({ userId, ip: req.ip, userAgent: req.headers['user-agent'], country }),
+      revenueShare.getTier(userId)
+    ]);
+
+    const offers = inventory
+      .filter(offer => isAvailableIn(offer, country))
+      .map(offer => withUserPayouts(offer, revenueShare.resolve({ provider: offer.provider, country, tier })))
+      .sort((a, b) => b.payout - a.payout)
+      .map(offer => ({
+        id: offer.id,
+        provider: offer.provider,
+        title: offer.title,
+        description: offer.description,
+        type: offer.type,
+        estimatedMinutes: offer.estimatedMinutes,
+        payout: offer.payout,
+        milestones: offer.milestones,
+        pendingDays: offer.pendingDays,
+        promotion: offer.promotion
+      }));
+
+    res.json({ offers, count: offers.length, providers: offerwalls.getEnabledProviders() });
+  } catch (error) {
+    console.error('Offer fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch offers' });
+  }
+});
+
+// Start an offer - returns the offerwall URL tagged with the user's click token
+// Resolved from the same cached inventory /available listed it from
+router.post('/start/:offerId', auth, async (req, res) => {
+  try {
+    const { offerId } = req.params;
+    const { userId } = req.body;
+
+    if (!offerService) {
+      return res.status(503).json({ error: 'Offerwalls not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const country = await requestCountry(req, userId);
+    const offer = await inventoryCache.findSurvey({ userId, ip: req.ip, userAgent: req.headers['user-agent'], country }, offerId);
+    if (!offer || !isAvailableIn(offer, country)) {
+      return res.status(404).json({ error: 'Offer is no longer available' });
+    }
+
+    const share = await revenueShare.forUser(userId, { provider: offer.provider, country });
+    const { progress, resumed } = await offerService.start(userId, withUserPayouts(offer, share), {
+      ip: req.ip,
+      country
+    });
+
+    const provider = offerwalls.getProvider(offer.provider);
+
+    res.json({
+      success: true,
+      progressId: progress.progressId,
+      offerId,
+      offerUrl: provider.buildEntryUrl(offer, progress.clickToken),
+      status: progress.status,
+      milestones: progress.milestones,
+      pendingDays: progress.pendingDays,
+      resumed
+    });
+  } catch (error) {
+    console.error('Offer start error:', error);
+    res.status(500).json({ error: 'Failed to start offer' });
+  }
+});
+
+// Offerwall postback (server-to-server, signed by the network) - one per milestone
+const handlePostback = async (req, res) => {
+  try {
+    if (!offerService) {
+      return res.status(503).json({ error: 'Offerwalls not initialized' });
+    }
+
+    // Each adapter reads only the params its signature covers
+    const result = await offerService.handlePostback(req.params.provider, req);
+
+    if (!result.success) {
+      return res.status(POSTBACK_ERROR_STATUS[result.code] || 400).json({ error: result.error, code: result.code });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Offer postback error:', error);
+    res.status(500).json({ error: 'Failed to process postback' });
+  }
+};
+
+router.get('/postback/:provider', handlePostback);
+router.post('/postback/:provider', handlePostback);
+
+// Offers a user has started, with each milestone's payout state
+router.get('/progress/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!offerService) {
+      return res.status(503).json({ error: 'Offerwalls not initialized' });
+    }
+
+    const offers = await offerService.getProgress(userId, limit);
+
+    res.json({ offers: offers.map(({ clickToken, ...offer }) => offer), count: offers.length });
+  } catch (error) {
+    console.error('Offer progress error:', error);
+    res.status(500).json({ error: 'Failed to fetch offer progress' });
+  }
+});
+
+module.exports = router;
+module.exports.initServices = initServices;
@@ -0,0 +1,403 @@
+/**
+ * Offer Service
+ * Tracks offerwall progress per user and pays each milestone, held as pending until it clears
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+
+class OfferService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      // Used when a postback arrives for an offer the user never started here
+      defaultPendingDays: 30,
+      ...config
+    };
+    this.postbackService = deps.postbackService;
+    this.balanceService = deps.balanceService;
+  }
+
+  /**
+   * Start (or resume) an offer for a user
+   * milestones carry the user's payout per step, as shown when they started
+   */
+  async start(userId, offer, context = {}) {
+    const clickToken = crypto.randomBytes(16).toString('hex');
+    const result = await db.query(
+      `INSERT INTO offer_progress
+         (user_id, offer_id, provider, external_offer_id, title, offer_type, milestones,
+          pending_days, expected_payout, click_token, ip, country)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (user_id, offer_id) DO NOTHING
+       RETURNING *`,
+      [
+        userId,
+        offer.id,
+        offer.provider,
+        offer.externalId,
+        offer.title,
+        offer.type,
+        JSON.stringify(offer.milestones),
+        offer.pendingDays,
+        offer.payout,
+        clickToken,
+        context.ip,
+        context.country ? String(context.country).toUpperCase().slice(0, 2) : null
+      ]
+    );
+
+    if (result.rows.length > 0) {
+      return { progress: this._formatProgress(result.rows[0]), resumed: false };
+    }
+
+    const existing = await db.query(
+      'SELECT * FROM offer_progress WHERE user_id = $1 AND offer_id = $2',
+      [userId, offer.id]
+    );
+    return { progress: this._formatProgress(existing.rows[0]), resumed: true };
+  }
+
+  /**
+   * Verify and record an offerwall postback - one per milestone
+   * Completions go through the same verification and revenue share as surveys
+   */
+  async handlePostback(providerName, req) {
+    const verified = this.postbackService.verify(providerName, req);
+    if (!verified.success) return verified;
+    const { postback, params, ip } = verified;
+
+    if (!postback.externalOfferId || !postback.milestoneId) {
+      return { success: false, error: 'Missing offer or milestone id', code: 'INVALID_POSTBACK' };
+    }
+    const offerId = `${providerName}_${postback.externalOfferId}`;
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Unique (provider, transaction_id, status) makes replays a no-op
+      const inserted = await client.query(
+        `INSERT INTO offer_postbacks
+           (provider, transaction_id, status, user_id, offer_id, milestone_id, provider_payout, ip, payload)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (provider, transaction_id, status) DO NOTHING
+         RETURNING id`,
+        [
+          providerName,
+          postback.transactionId,
+          postback.status,
+          postback.userId,
+          offerId,
+          String(postback.milestoneId),
+          postback.providerPayout,
+          ip,
+          params
+        ]
+      );
+
+      if (inserted.rows.length === 0) {
+        await client.query('COMMIT');
+        return { success: true, duplicate: true, transactionId: postback.transactionId };
+      }
+      const postbackId = inserted.rows[0].id;
+
+      if (postback.status === 'reversed') {
+        const reversal = await this._reverse(client, providerName, postback, postbackId);
+        await client.query('COMMIT');
+        return { success: true, status: 'reversed', transactionId: postback.transactionId, ...reversal };
+      }
+
+      const progress = await this._findProgress(client, postback, offerId);
+
+      if (postback.status !== 'completed') {
+        await client.query('UPDATE offer_postbacks SET progress_id = $1 WHERE id = $2', [progress ? progress.id : null, postbackId]);
+        await client.query('COMMIT');
+        return { success: true, status: postback.status, transactionId: postback.transactionId, credited: 0 };
+      }
+
+      const payout = await this.postbackService.resolvePayout(client, {
+        userId: postback.userId,
+        providerName,
+        providerPayout: postback.providerPayout,
+        country: progress && progress.country,
+        at: progress ? progress.started_at : new Date()
+      });
+
+      // Networks re-fire milestones under new transaction ids - pay each milestone once,
+      // and never pay a transaction whose reversal got here first
+      const alreadyPaid = await client.query(
+        `SELECT 1 FROM offer_postbacks
+         WHERE id <> $1 AND status = 'completed' AND payout_status IN ('pending', 'credited')
+           AND user_id = $2 AND offer_id = $3 AND milestone_id = $4
+         UNION ALL
+         SELECT 1 FROM offer_postbacks WHERE provider = $5 AND transaction_id = $6 AND status = 'reversed'`,
+        [postbackId, postback.userId, offerId, String(postback.milestoneId), providerName, postback.transactionId]
+      );
+      const amount = alreadyPaid.rows.length === 0 ? payout.amount : 0;
+
+      const pendingDays = progress ? progress.pending_days : this.config.defaultPendingDays;
+      const milestoneTitle = this._milestoneTitle(progress, postback.milestoneId);
+      // The offer's pending period is the base hold - the balance hold policy adjusts it per user
+      const transaction = await this.postbackService.credit(client, {
+        userId: postback.userId,
+        amount,
+        type: 'offer',
+        description: `Offer completed: ${milestoneTitle} (${providerName})`,
+        providerName,
+        transactionId: postback.transactionId,
+        holdDays: pendingDays,
+        revenueShare: payout.audit
+      });
+      const releasesAt = transaction ? transaction.availableAt : null;
+      const payoutStatus = !transaction ? 'none' : (releasesAt ? 'pending' : 'credited');
+
+      await client.query(
+        `UPDATE offer_postbacks
+         SET progress_id = $1, user_payout = $2, margin_percent = $3, revenue_share = $4, payout_status = $5,
+             releases_at = $6, balance_transaction_id = $7, released_at = CASE WHEN $8 THEN NOW() END
+         WHERE id = $9`,
+        [
+          progress ? progress.id : null,
+          amount,
+          payout.share.marginPercent,
+          payout.audit,
+          payoutStatus,
+          releasesAt,
+          transaction ? transaction.id : null,
+          payoutStatus === 'credited',
+          postbackId
+        ]
+      );
+
+      if (progress) {
+        await this._updateProgress(client, progress);
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        status: 'completed',
+        transactionId: postback.transactionId,
+        offerId,
+        milestoneId: String(postback.milestoneId),
+        progressId: progress ? progress.id : null,
+        credited: payoutStatus === 'credited' ? amount : 0,
+        pending: payoutStatus === 'pending' ? amount : 0,
+        releasesAt,
+        revenueRule: payout.share.rule
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Follow the balance release job: mark a milestone credited once its pending payout is released
+   */
+  trackReleases() {
+    this.balanceService.onRelease('offer', async (client, { pending }) => {
+      await client.query(
+        `UPDATE offer_postbacks SET payout_status = 'credited', released_at = NOW()
+         WHERE balance_transaction_id = $1 AND payout_status = 'pending'`,
+        [pending.id]
+      );
+    });
+  }
+
+  /**
+   * A user's offers with each milestone's payout state, newest first
+   */
+  async getProgress(userId, limit = 20) {
+    const progress = await db.query(
+      'SELECT * FROM offer_progress WHERE user_id = $1 ORDER BY started_at DESC LIMIT $2',
+      [userId, limit]
+    );
+    if (progress.rows.length === 0) return [];
+
+    const postbacks = await db.query(
+      `SELECT progress_id, milestone_id, user_payout, payout_status, releases_at, released_at, created_at
+       FROM offer_postbacks
+       WHERE progress_id = ANY($1) AND status = 'completed'
+       ORDER BY created_at`,
+      [progress.rows.map(row => row.id)]
+    );
+
+    return progress.rows.map(row => {
+      const paid = postbacks.rows.filter(p => p.progress_id === row.id);
+      return this._formatProgress(row, paid);
+    });
+  }
+
+  /**
+   * Lock the progress row a postback belongs to, inside the postback's transaction
+   * Matches on the click token, falling back to the user's progress on the offer
+   */
+  async _findProgress(client, postback, offerId) {
+    let result = { rows: [] };
+
+    if (postback.sessionToken) {
+      result = await client.query(
+        'SELECT * FROM offer_progress WHERE click_token = $1 FOR UPDATE',
+        [postback.sessionToken]
+      );
+    }
+    if (result.rows.length === 0) {
+      result = await client.query(
+        'SELECT * FROM offer_progress WHERE user_id = $1 AND offer_id = $2 FOR UPDATE',
+        [postback.userId, offerId]
+      );
+    }
+
+    const progress = result.rows[0];
+    if (!progress || String(progress.user_id) !== String(postback.userId) || progress.offer_id !== offerId) {
+      return null;
+    }
+    return progress;
+  }
+
+  /**
+   * Mark the offer completed once every milestone has a payout, and back in progress
+   * when a reversal takes one away - reversals themselves are tracked per milestone
+   */
+  async _updateProgress(client, progress) {
+    const paid = await client.query(
+      `SELECT DISTINCT milestone_id FROM offer_postbacks
+       WHERE progress_id = $1 AND status = 'completed' AND payout_status IN ('pending', 'credited')`,
+      [progress.id]
+    );
+    const paidIds = paid.rows.map(row => row.milestone_id);
+    const allPaid = (progress.milestones || []).every(m => paidIds.includes(m.id));
+
+    await client.query(
+      `UPDATE offer_progress
+       SET status = CASE
+             WHEN $2 AND status IN ('in_progress', 'reversed') THEN 'completed'
+             WHEN NOT $2 AND status IN ('completed', 'reversed') THEN 'in_progress'
+             ELSE status
+           END,
+           completed_at = CASE
+             WHEN $2 THEN COALESCE(completed_at, NOW())
+             WHEN status IN ('completed', 'reversed') THEN NULL
+             ELSE completed_at
+           END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [progress.id, allPaid]
+    );
+  }
+
+  /**
+   * Undo a milestone: drop it from pending if still held, otherwise claw back the credit
+   * The debit may take the balance negative - the money has already left us
+   */
+  async _reverse(client, providerName, postback, reversalId) {
+    const original = await client.query(
+      `SELECT * FROM offer_postbacks
+       WHERE provider = $1 AND transaction_id = $2 AND status = 'completed'
+       FOR UPDATE`,
+      [providerName, postback.transactionId]
+    );
+
+    const completion = original.rows[0];
+    if (!completion) {
+      console.warn(`[POSTBACK] ${providerName} offer reversal for unknown transaction ${postback.transactionId}`);
+      return { originalFound: false, cancelledPending: 0, clawedBack: 0 };
+    }
+
+    const amount = parseFloat(completion.user_payout);
+    let reversal = { transaction: null, cancelledPending: 0, clawedBack: 0 };
+
+    if (completion.balance_transaction_id && amount > 0) {
+      reversal = await this.balanceService.reverse(
+        completion.balance_transaction_id,
+        `Offer reversed by provider (${providerName})`,
+        { type: 'offer_reversal', referenceId: `${providerName}:${postback.transactionId}`, client }
+      );
+    }
+    const transaction = reversal.clawedBack > 0 ? reversal.transaction : null;
+
+    await client.query(
+      `UPDATE offer_postbacks SET payout_status = 'reversed', reversed_at = NOW() WHERE id = $1`,
+      [completion.id]
+    );
+    await client.query(
+      `UPDATE offer_postbacks
+       SET user_id = $1, offer_id = $2, milestone_id = $3, progress_id = $4, user_payout = $5, balance_transaction_id = $6
+       WHERE id = $7`,
+      [
+        completion.user_id,
+        completion.offer_id,
+        completion.milestone_id,
+        completion.progress_id,
+        transaction ? amount : 0,
+        transaction ? transaction.id : null,
+        reversalId
+      ]
+    );
+
+    if (completion.progress_id) {
+      const progress = await client.query('SELECT * FROM offer_progress WHERE id = $1 FOR UPDATE', [completion.progress_id]);
+      await this._updateProgress(client, progress.rows[0]);
+    }
+
+    return {
+      originalFound: true,
+      offerId: completion.offer_id,
+      milestoneId: completion.milestone_id,
+      cancelledPending: reversal.cancelledPending,
+      clawedBack: reversal.clawedBack
+    };
+  }
+
+  _milestoneTitle(progress, milestoneId) {
+    const milestone = progress && (progress.milestones || []).find(m => m.id === String(milestoneId));
+    return milestone ? milestone.title : (progress ? progress.title : 'offer milestone');
+  }
+
+  /**
+   * Format progress row (plus its completion postbacks) for API responses
+   */
+  _formatProgress(row, postbacks = []) {
+    const milestones = (row.milestones || []).map(m => {
+      // A milestone re-fired after a reversal shows its live payout, not the reversed one
+      const completions = postbacks.filter(p => p.milestone_id === m.id);
+      const paid = completions.find(p => ['pending', 'credited'].includes(p.payout_status)) || completions[0];
+      return {
+        id: m.id,
+        title: m.title,
+        payout: m.payout,
+        status: paid ? paid.payout_status : 'not_started',
+        earned: paid && paid.payout_status !== 'reversed' ? parseFloat(paid.user_payout) : 0,
+        releasesAt: paid && paid.payout_status === 'pending' ? paid.releases_at : null,
+        releasedAt: paid ? paid.released_at : null
+      };
+    });
+    const sum = (status) => Math.round(
+      milestones.filter(m => m.status === status).reduce((total, m) => total + m.earned, 0) * 100
+    ) / 100;
+
+    return {
+      progressId: row.id,
+      userId: row.user_id,
+      offerId: row.offer_id,
+      provider: row.provider,
+      title: row.title,
+      type: row.offer_type,
+      status: row.status,
+      milestones,
+      expectedPayout: parseFloat(row.expected_payout),
+      earned: sum('credited'),
+      pending: sum('pending'),
+      pendingDays: row.pending_days,
+      clickToken: row.click_token,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = OfferService;
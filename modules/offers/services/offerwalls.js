@@ -0,0 +1,231 @@
+/**
+ * Offerwall Providers Service
+ * Adapters for offerwall networks (app installs, sign-ups, videos) and a local fixture
+ */
+
+const { SurveyProvider, FixtureProvider, safeEqual, roundCents } = require('../../surveys/services/survey-providers');
+
+class OfferwallProviders {
+  constructor(config = {}) {
+    this.config = config;
+    this.registry = {
+      fixture: FixtureOfferwall
+    };
+    this.providers = {};
+
+    for (const [name, providerConfig] of Object.entries(config)) {
+      const Provider = this.registry[name];
+      if (!Provider || !providerConfig || !providerConfig.enabled) continue;
+
+      const provider = new Provider(providerConfig);
+      if (!provider.isConfigured()) {
+        console.warn(`Offerwall "${name}" is enabled but missing credentials, skipping`);
+        continue;
+      }
+      this.providers[name] = provider;
+    }
+  }
+
+  /**
+   * Get an enabled offerwall adapter by name
+   */
+  getProvider(name) {
+    return this.providers[name] || null;
+  }
+
+  /**
+   * Names of all enabled offerwalls
+   */
+  getEnabledProviders() {
+    return Object.keys(this.providers);
+  }
+
+  /**
+   * One offerwall's normalized offers, minus anything unavailable or unpaid
+   */
+  async fetchProviderInventory(name, user) {
+    const provider = this.getProvider(name);
+    if (!provider) return [];
+
+    const raw = await provider.fetchOffers(user);
+    return raw
+      .map(r => provider.normalize(r))
+      .filter(offer => offer && offer.available && offer.providerPayout > 0 && offer.milestones.length > 0);
+  }
+
+  /**
+   * Offers are already unique per network - just drop repeated ids
+   */
+  dedupe(offers) {
+    const byId = new Map();
+    for (const offer of offers) {
+      if (!byId.has(offer.id)) byId.set(offer.id, offer);
+    }
+    return [...byId.values()];
+  }
+}
+
+/**
+ * Base offerwall adapter
+ * Shares IP allowlist, timestamp and entry URL handling with survey providers,
+ * so offer postbacks go through the same PostbackService.verify checks
+ * Subclasses implement fetchOffers(), normalize() and the postback methods
+ */
+class OfferwallProvider extends SurveyProvider {
+  constructor(name, config = {}) {
+    super(name, {
+      // Days a milestone payout stays pending before it's released
+      pendingDays: 30,
+      ...config
+    });
+  }
+
+  async fetchOffers(user) {
+    throw new Error(`${this.name} offerwall does not implement fetchOffers`);
+  }
+
+  /**
+   * Map postback params to { transactionId, userId, externalOfferId, milestoneId,
+   * providerPayout, status, timestamp, sessionToken }
+   */
+  parsePostback(params) {
+    throw new Error(`${this.name} offerwall does not implement parsePostback`);
+  }
+
+  /**
+   * Build the common offer shape returned by /available
+   */
+  _offer({
+    externalId, title, description, type, milestones = [], pendingDays, estimatedMinutes,
+    entryUrl, targeting = {}, available = true
+  }) {
+    const normalizedMilestones = milestones.map(m => ({
+      id: String(m.id),
+      title: m.title || 'Complete this step',
+      providerPayout: roundCents(m.payout)
+    }));
+
+    return {
+      id: `${this.name}_${externalId}`,
+      provider: this.name,
+      externalId: String(externalId),
+      title: title || 'Offer',
+      description: description || '',
+      type: type || 'other',
+      milestones: normalizedMilestones,
+      providerPayout: roundCents(normalizedMilestones.reduce((sum, m) => sum + m.providerPayout, 0)),
+      pendingDays: pendingDays !== undefined ? Number(pendingDays) : this.config.pendingDays,
+      estimatedMinutes: Math.max(1, Math.round(Number(estimatedMinutes) || 0)),
+      entryUrl: entryUrl || null,
+      targeting,
+      quotaRemaining: null,
+      available
+    };
+  }
+}
+
+/**
+ * Local Fixture Offerwall
+ * Static offers for development and tests - never hits the network
+ */
+const FIXTURE_OFFERS = [
+  {
+    id: 'offer_001',
+    title: 'Budget Buddy - reach level 10',
+    description: 'Install the app, open it, then reach level 10 within 14 days',
+    type: 'app_install',
+    estimatedMinutes: 90,
+    pendingDays: 30,
+    milestones: [
+      { id: 'install', title: 'Install and open the app', payout: 0.30 },
+      { id: 'level_5', title: 'Reach level 5', payout: 1.20 },
+      { id: 'level_10', title: 'Reach level 10', payout: 3.50 }
+    ]
+  },
+  {
+    id: 'offer_002',
+    title: 'StreamBox free trial',
+    description: 'Sign up for a 7-day free trial',
+    type: 'signup',
+    estimatedMinutes: 5,
+    pendingDays: 14,
+    milestones: [
+      { id: 'signup', title: 'Start the free trial', payout: 2.40 }
+    ]
+  },
+  {
+    id: 'offer_003',
+    title: 'Watch a 30 second video',
+    description: 'Watch a short sponsored video to the end',
+    type: 'video',
+    estimatedMinutes: 1,
+    pendingDays: 0,
+    milestones: [
+      { id: 'watched', title: 'Watch to the end', payout: 0.03 }
+    ]
+  }
+];
+
+class FixtureOfferwall extends OfferwallProvider {
+  constructor(config = {}) {
+    super('fixture', {
+      offers: FIXTURE_OFFERS,
+      secretKey: process.env.OFFERWALL_FIXTURE_SECRET,
+      entryBaseUrl: 'http://localhost:5000/fixture-offer',
+      sessionParam: 'click',
+      ...config
+    });
+    this.sharedInventory = true;
+  }
+
+  async fetchOffers(user) {
+    return this.config.offers;
+  }
+
+  normalize(raw) {
+    return this._offer({
+      externalId: raw.id,
+      title: raw.title,
+      description: raw.description,
+      type: raw.type,
+      milestones: raw.milestones,
+      pendingDays: raw.pendingDays,
+      estimatedMinutes: raw.estimatedMinutes,
+      entryUrl: `${this.config.entryBaseUrl}/${raw.id}`,
+      targeting: raw.targeting,
+      available: raw.available !== false
+    });
+  }
+
+  /**
+   * Hex HMAC-SHA256 over the sorted "key=value" params, excluding sig
+   */
+  verifySignature(params) {
+    if (!this.config.secretKey || !params.sig) return false;
+    return safeEqual(FixtureOfferwall.sign(params, this.config.secretKey), params.sig);
+  }
+
+  parsePostback(params) {
+    return {
+      transactionId: params.tx_id,
+      userId: params.user_id,
+      externalOfferId: params.offer_id,
+      milestoneId: params.milestone_id,
+      providerPayout: Number(params.payout) || 0,
+      status: params.status || 'completed',
+      timestamp: params.ts ? new Date(Number(params.ts) * 1000) : null,
+      sessionToken: params[this.config.sessionParam]
+    };
+  }
+
+  /**
+   * Same signing scheme as the survey fixture - used by dev tooling to simulate callbacks
+   */
+  static sign(params, secretKey) {
+    return FixtureProvider.sign(params, secretKey);
+  }
+}
+
+module.exports = OfferwallProviders;
+module.exports.OfferwallProvider = OfferwallProvider;
+module.exports.FixtureOfferwall = FixtureOfferwall;
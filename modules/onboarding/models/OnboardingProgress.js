@@ -1,12 +1,14 @@
 ﻿const mongoose = require('mongoose');
 
 const onboardingProgressSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  // Postgres user id from the auth module
+  userId: { type: String, required: true, unique: true },
   
   // Step completion
   steps: {
     welcome: { completed: { type: Boolean, default: false }, completedAt: Date, rewardClaimed: { type: Boolean, default: false } },
     profile: { completed: { type: Boolean, default: false }, completedAt: Date, rewardClaimed: { type: Boolean, default: false } },
+    profiler: { completed: { type: Boolean, default: false }, completedAt: Date, rewardClaimed: { type: Boolean, default: false } },
     verify_phone: { completed: { type: Boolean, default: false }, completedAt: Date, rewardClaimed: { type: Boolean, default: false } },
     first_survey: { completed: { type: Boolean, default: false }, completedAt: Date, rewardClaimed: { type: Boolean, default: false } },
     payout_setup: { completed: { type: Boolean, default: false }, completedAt: Date, rewardClaimed: { type: Boolean, default: false } }
@@ -15,7 +17,7 @@ const onboardingProgressSchema = new mongoose.Schema({
   // Overall progress
   currentStep: { type: String, default: 'welcome' },
   completedSteps: { type: Number, default: 0 },
-  totalSteps: { type: Number, default: 5 },
+  totalSteps: { type: Number, default: 6 },
   percentComplete: { type: Number, default: 0 },
   
   // Completion status
@@ -70,7 +72,7 @@ onboardingProgressSchema.methods.updateProgress = function() {
 
 // Get next incomplete step
 onboardingProgressSchema.methods.getNextStep = function() {
-  const stepOrder = ['welcome', 'profile', 'verify_phone', 'first_survey', 'payout_setup'];
+  const stepOrder = ['welcome', 'profile', 'profiler', 'verify_phone', 'first_survey', 'payout_setup'];
   for (const step of stepOrder) {
     if (!this.steps[step].completed) {
       return step;
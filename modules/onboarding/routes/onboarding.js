@@ -10,12 +10,13 @@ const OnboardingService = require('../services/onboarding');
 
 let onboardingService = null;
 
-// Initialize service
+// Initialize service (returned so other modules can complete steps)
 const initService = (config, balanceService) => {
   onboardingService = new OnboardingService(config);
   if (balanceService) {
     onboardingService.setBalanceService(balanceService);
   }
+  return onboardingService;
 };
 
 /**
@@ -8,10 +8,11 @@ const OnboardingProgress = require('../models/OnboardingProgress');
 class OnboardingService {
   constructor(config = {}) {
     this.config = {
-      steps: config.steps || ['welcome', 'profile', 'verify_phone', 'first_survey', 'payout_setup'],
+      steps: config.steps || ['welcome', 'profile', 'profiler', 'verify_phone', 'first_survey', 'payout_setup'],
       rewards: config.rewards || {
         welcome: 0.50,
         profile_complete: 1.00,
+        profiler_complete: 0.25,
         phone_verified: 2.00,
         first_survey: 0,
         payout_setup: 0.50
@@ -81,7 +82,15 @@ class OnboardingService {
       rewardAmount = this.config.rewards[rewardKey];
       
       if (rewardAmount > 0 && this.balanceService) {
-        await this.balanceService.credit(userId, rewardAmount, `Onboarding: ${stepName}`);
+        // Idempotent per step - a retried or concurrent completion gets the original credit back
+        const transaction = await this.balanceService.credit(userId, rewardAmount, `Onboarding: ${stepName}`, {
+          type: 'onboarding',
+          referenceId: `onboarding:${stepName}`
+        }).catch(err => {
+          if (err.code === 'IDEMPOTENCY_CONFLICT') return err.transaction;
+          throw err;
+        });
+        rewardAmount = transaction.amount;
         progress.steps[stepName].rewardClaimed = true;
         progress.totalRewardsEarned += rewardAmount;
       }
@@ -166,6 +175,7 @@ class OnboardingService {
     const mapping = {
       welcome: 'welcome',
       profile: 'profile_complete',
+      profiler: 'profiler_complete',
       verify_phone: 'phone_verified',
       first_survey: 'first_survey',
       payout_setup: 'payout_setup'
@@ -18,6 +18,7 @@ let payoutService = null;
 const initServices = (config) => {
   phoneService = new PhoneVerifyService(config.phone || {});
   payoutService = new PayoutProviders(config.providers || {});
+  return { phoneService, payoutService };
 };
 
 /**
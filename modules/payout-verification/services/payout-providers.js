@@ -3,6 +3,8 @@
  * Integrations for PayPal, M-Pesa, GCash
  */
 
+const axios = require('axios');
+const crypto = require('crypto');
 const Verification = require('../models/Verification');
 
 class PayoutProviders {
@@ -13,6 +15,19 @@ class PayoutProviders {
       mpesa: new MPesaProvider(config.mpesa),
       gcash: new GCashProvider(config.gcash)
     };
+    
+    // Local stand-in, optionally taking over real methods so cashouts can be exercised end to end
+    if (config.fake && config.fake.enabled) {
+      const fake = new FakePayoutProvider(config.fake);
+      this.providers.fake = fake;
+      for (const method of config.fake.methods || []) {
+        this.providers[method] = fake;
+      }
+    }
+    
+    if (!Object.values(this.providers).some(provider => provider.live)) {
+      console.warn('⚠️  No live payout provider - approved cashouts will wait for a manual payout. Set PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET to send PayPal cashouts');
+    }
   }
 
   /**
@@ -84,6 +99,47 @@ class PayoutProviders {
     }
   }
 
+  /**
+   * Whether a cashout method has a live provider to send it automatically
+   * PayPal is live once its API credentials are set; M-Pesa and GCash are still stubs
+   * that move no money - anything without a live provider waits for a manual payout
+   */
+  supports(method) {
+    const provider = this.providers[method];
+    return Boolean(provider && provider.live);
+  }
+
+  /**
+   * Send a cashout to the provider for its method
+   * The reference goes to the provider as an idempotency key, so a retried send can't pay twice;
+   * retryable is false for errors that another attempt won't fix
+   */
+  async sendCashout({ method, destination, amount, currency = 'USD', reference }) {
+    const provider = this.providers[method];
+    if (!provider || !provider.live) {
+      return { success: false, error: `No live payout provider for ${method}`, code: 'PROVIDER_UNAVAILABLE', retryable: false };
+    }
+    
+    try {
+      const result = await provider.sendPayout(destination, amount, currency, { reference });
+      return {
+        success: true,
+        transactionId: result.transactionId,
+        provider: method,
+        amount,
+        currency
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message,
+        code: err.code || 'PAYOUT_FAILED',
+        retryable: !err.permanent,
+        uncertain: Boolean(err.uncertain)
+      };
+    }
+  }
+
   /**
    * Get available providers for country
    */
@@ -102,29 +158,116 @@ class PayoutProviders {
 }
 
 /**
- * PayPal Provider
+ * PayPal Provider - Payouts API
+ * Live once clientId and clientSecret are set; PAYPAL_MODE=live points it at production,
+ * anything else at the sandbox
  */
 class PayPalProvider {
   constructor(config = {}) {
-    this.config = config;
+    this.config = {
+      clientId: process.env.PAYPAL_CLIENT_ID,
+      clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+      apiUrl: process.env.PAYPAL_MODE === 'live' ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com',
+      emailSubject: 'You have a payout!',
+      timeoutMs: 15000,
+      ...config
+    };
+    this.live = Boolean(this.config.clientId && this.config.clientSecret);
+    this.token = null;
   }
   
-  async sendPayout(email, amount, currency) {
-    // In production: use PayPal Payouts API
-    console.log(`[PAYPAL] Sending ${currency} ${amount} to ${email}`);
-    return { 
-      transactionId: `PP-${Date.now()}`,
-      status: 'pending'
+  /**
+   * One-item payout batch to a PayPal email
+   * The reference is the sender_batch_id and the PayPal-Request-Id, so a retried send
+   * gets the original batch back instead of paying twice. An accepted batch counts as sent
+   */
+  async sendPayout(email, amount, currency, { reference } = {}) {
+    if (!this.live) {
+      console.log(`[PAYPAL] Not configured - not sending ${currency} ${amount} to ${email}`);
+      return { transactionId: `PP-${Date.now()}`, status: 'pending' };
+    }
+    
+    const batchId = reference || crypto.randomUUID();
+    try {
+      const response = await axios.post(
+        `${this.config.apiUrl}/v1/payments/payouts`,
+        {
+          sender_batch_header: {
+            sender_batch_id: batchId,
+            email_subject: this.config.emailSubject
+          },
+          items: [{
+            recipient_type: 'EMAIL',
+            receiver: email,
+            amount: { value: Number(amount).toFixed(2), currency },
+            sender_item_id: batchId
+          }]
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${await this._accessToken()}`,
+            'PayPal-Request-Id': batchId
+          },
+          timeout: this.config.timeoutMs
+        }
+      );
+      const header = response.data.batch_header;
+      return { transactionId: header.payout_batch_id, status: String(header.batch_status).toLowerCase() };
+    } catch (err) {
+      if (err.response && err.response.status === 401) this.token = null;
+      throw paypalError(err);
+    }
+  }
+  
+  /**
+   * OAuth client-credentials token, reused until a minute before it expires
+   */
+  async _accessToken() {
+    if (this.token && this.token.expiresAt > Date.now()) return this.token.value;
+    
+    const response = await axios.post(
+      `${this.config.apiUrl}/v1/oauth2/token`,
+      'grant_type=client_credentials',
+      {
+        auth: { username: this.config.clientId, password: this.config.clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.config.timeoutMs
+      }
+    );
+    this.token = {
+      value: response.data.access_token,
+      expiresAt: Date.now() + (response.data.expires_in - 60) * 1000
     };
+    return this.token.value;
   }
 }
 
+/**
+ * PayPal API failure as a payout error
+ * 4xx responses won't go through on retry, apart from rate limits, timeouts and auth (the token
+ * may just have expired). A batch id PayPal has already seen means an earlier send may have
+ * landed, so that one is retried and then left for an admin rather than refunded
+ */
+function paypalError(err) {
+  const status = err.response && err.response.status;
+  const data = (err.response && err.response.data) || {};
+  const error = new Error(`PayPal payout failed: ${data.message || err.message}`);
+  error.code = data.name || (status ? 'PAYOUT_FAILED' : 'PROVIDER_UNAVAILABLE');
+  error.uncertain = status === 400 && /already (exists|used)/i.test(data.message || '');
+  error.permanent = Boolean(
+    status >= 400 && status < 500 && ![401, 408, 429].includes(status) && !error.uncertain
+  );
+  return error;
+}
+
 /**
  * M-Pesa Provider (Kenya, Tanzania, Uganda)
  */
 class MPesaProvider {
   constructor(config = {}) {
     this.config = config;
+    // Stub - nothing is sent and the idempotency reference is ignored
+    this.live = false;
   }
   
   async sendPayout(phoneNumber, amount, currency) {
@@ -143,6 +286,8 @@ class MPesaProvider {
 class GCashProvider {
   constructor(config = {}) {
     this.config = config;
+    // Stub - nothing is sent and the idempotency reference is ignored
+    this.live = false;
   }
   
   async sendPayout(phoneNumber, amount, currency) {
@@ -155,4 +300,54 @@ class GCashProvider {
   }
 }
 
+/**
+ * Fake Provider (local development and tests)
+ * The destination picks the outcome: 'fail' anywhere in it is a permanent rejection,
+ * 'flaky' fails transiently failTimes times before succeeding, 'slow' waits delayMs first
+ */
+class FakePayoutProvider {
+  constructor(config = {}) {
+    this.config = {
+      delayMs: 2000,
+      failTimes: 2,
+      ...config
+    };
+    this.live = true;
+    this.attempts = new Map();
+    this.sent = new Map();
+  }
+  
+  async sendPayout(destination, amount, currency, { reference } = {}) {
+    if (destination.includes('slow')) {
+      await new Promise(resolve => setTimeout(resolve, this.config.delayMs));
+    }
+    
+    // Same reference, same payout - like a real provider's idempotency key
+    if (reference && this.sent.has(reference)) {
+      return this.sent.get(reference);
+    }
+    
+    if (destination.includes('fail')) {
+      const err = new Error(`Fake provider rejected payout to ${destination}`);
+      err.code = 'PAYOUT_REJECTED';
+      err.permanent = true;
+      throw err;
+    }
+    
+    const attempts = (this.attempts.get(reference || destination) || 0) + 1;
+    this.attempts.set(reference || destination, attempts);
+    if (destination.includes('flaky') && attempts <= this.config.failTimes) {
+      const err = new Error(`Fake provider unavailable (attempt ${attempts})`);
+      err.code = 'PROVIDER_UNAVAILABLE';
+      throw err;
+    }
+    
+    console.log(`[FAKE] Sending ${currency} ${amount} to ${destination}`);
+    const result = { transactionId: `FK-${Date.now()}-${this.sent.size + 1}`, status: 'completed' };
+    if (reference) this.sent.set(reference, result);
+    return result;
+  }
+}
+
 module.exports = PayoutProviders;
+module.exports.FakePayoutProvider = FakePayoutProvider;
@@ -1,5 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const db = require('../database/db');
+
+let balanceService = null;
+
+// Initialize with the shared balance service
+const initService = (config = {}, service = null) => {
+  balanceService = service;
+};
 
 // Get user streak info
 router.get('/:userId', async (req, res) => {
@@ -33,6 +41,16 @@ router.post('/:userId/checkin', async (req, res) => {
     const { userId } = req.params;
     const today = new Date().toISOString().split('T')[0];
     
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    // Check-ins count as activity for dormant-balance expiry
+    await db.query(
+      'INSERT INTO streak_checkins (user_id, checkin_date) VALUES ($1, $2) ON CONFLICT (user_id, checkin_date) DO NOTHING',
+      [userId, today]
+    );
+    
     // TODO: Database logic
     // 1. Get user's last active date
     // 2. If lastActiveDate === yesterday, increment streak
@@ -59,7 +77,17 @@ router.post('/:userId/checkin', async (req, res) => {
     };
     
     if (milestones[result.currentStreak]) {
-      result.bonusAwarded = milestones[result.currentStreak];
+      // A milestone can only be reached once a day, so repeat check-ins replay the same credit
+      const transaction = await balanceService.credit(
+        userId,
+        milestones[result.currentStreak],
+        `${result.currentStreak}-day streak bonus`,
+        { type: 'streak_bonus', referenceId: `streak_${result.currentStreak}:${today}` }
+      ).catch(err => {
+        if (err.code === 'IDEMPOTENCY_CONFLICT') return err.transaction;
+        throw err;
+      });
+      result.bonusAwarded = transaction.amount;
       result.milestoneReached = result.currentStreak;
       result.message = `🔥 ${result.currentStreak}-day streak! +$${result.bonusAwarded} bonus!`;
     }
@@ -86,4 +114,5 @@ router.get('/leaderboard/top', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.initService = initService;
\ No newline at end of file
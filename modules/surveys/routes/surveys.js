@@ -1,50 +1,132 @@
 ﻿const express = require('express');
 const router = express.Router();
+const { authenticateToken: auth, isAdmin: adminOnly } = require('../middleware/auth');
+const SurveyProviders = require('../services/survey-providers');
+const PostbackService = require('../services/postbacks');
+const SurveySessionService = require('../services/sessions');
+const SurveyMatcher = require('../services/matching');
+const ProfilerService = require('../services/profiler');
+const InventoryCache = require('../services/inventory-cache');
+const SurveyRatingService = require('../services/ratings');
+const RevenueSharePolicy = require('../services/revenue-share');
+const FirstPartySurveyService = require('../services/first-party');
+const FingerprintService = require('../../fraud-detection/services/fingerprint');
 
-const PROVIDER_CONFIG = {
-  marginPercent: 35
+// HTTP status for each postback rejection code
+const POSTBACK_ERROR_STATUS = {
+  UNKNOWN_PROVIDER: 404,
+  IP_NOT_ALLOWED: 403,
+  INVALID_SIGNATURE: 403,
+  INVALID_POSTBACK: 400,
+  STALE_POSTBACK: 400
 };
 
-// Get available surveys for user
+let surveyProviders = null;
+let sessionService = null;
+let postbackService = null;
+let surveyMatcher = null;
+let profilerService = null;
+let inventoryCache = null;
+let ratingService = null;
+let revenueShare = null;
+let firstPartyService = null;
+
+// Initialize services with the brain.json "surveys" section
+const initServices = (config = {}, deps = {}) => {
+  surveyProviders = new SurveyProviders(config.providers || {});
+  sessionService = new SurveySessionService(config.sessions || {});
+  profilerService = new ProfilerService(config.profiler || {}, { onboardingService: deps.onboardingService });
+  ratingService = new SurveyRatingService(config.ratings || {});
+  surveyMatcher = new SurveyMatcher(config.matching || {}, { profilerService, ratingService });
+  inventoryCache = new InventoryCache(
+    { ...(config.inventory || {}), redisUrl: config.redisUrl },
+    { providers: surveyProviders }
+  );
+  revenueShare = new RevenueSharePolicy({
+    timezone: deps.balanceService.config.timezone,
+    ...(config.revenueShare || {})
+  });
+  postbackService = new PostbackService(
+    {
+      ...(config.postbacks || {}),
+      consolation: config.consolation
+    },
+    {
+      providers: surveyProviders,
+      balanceService: deps.balanceService,
+      fraudService: deps.fraudService,
+      sessionService,
+      inventoryCache,
+      revenueShare
+    }
+  );
+  firstPartyService = new FirstPartySurveyService(config.firstParty || {}, {
+    surveyMatcher,
+    postbackService,
+    fraudService: deps.fraudService
+  });
+  sessionService.scheduleExpiry();
+  inventoryCache.schedule();
+
+  return { surveyMatcher };
+};
+
+// Country to target: the user's profile, then the edge header - never the client's say-so,
+// since country decides which surveys and revenue share a user gets
+const requestCountry = (req, profile = {}) =>
+  profile.country || req.headers['cf-ipcountry'];
+
+// Request context passed to provider adapters, with profiler qualifications
+const userContext = async (req, userId, profile = {}) => ({
+  userId,
+  ip: req.ip,
+  userAgent: req.headers['user-agent'],
+  country: requestCountry(req, profile),
+  qualifications: await profilerService.getProviderQualifications(userId)
+});
+
+// Get available surveys for user, best match first
+// Shared inventory comes from the cache, per-user providers live - ranking happens in the matcher
 router.get('/available/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // TODO: Call Pollfish API - mock data for now
-    const surveys = [
-      {
-        id: 'survey_001',
-        provider: 'pollfish',
-        title: 'Consumer Preferences Survey',
-        description: 'Share your shopping habits',
-        estimatedMinutes: 5,
-        payout: 0.65,
-        category: 'shopping',
-        available: true
-      },
-      {
-        id: 'survey_002',
-        provider: 'pollfish',
-        title: 'Entertainment Feedback',
-        description: 'Tell us about streaming preferences',
-        estimatedMinutes: 3,
-        payout: 0.40,
-        category: 'entertainment',
-        available: true
-      },
-      {
-        id: 'survey_003',
-        provider: 'pollfish',
-        title: 'Product Testing',
-        description: 'Review new product concepts',
-        estimatedMinutes: 8,
-        payout: 1.25,
-        category: 'products',
-        available: true
-      }
-    ];
+    if (!surveyProviders) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
     
-    res.json({ surveys, count: surveys.length });
+    const profile = await surveyMatcher.getProfile(userId);
+    const context = await userContext(req, userId, profile);
+    const { country } = context;
+    const [inventory, tier] = await Promise.all([
+      inventoryCache.getAvailableSurveys(context),
+      revenueShare.getTier(userId)
+    ]);
+    
+    const ranked = await surveyMatcher.rank(
+      userId,
+      inventory.map(survey => {
+        const share = revenueShare.resolve({ provider: survey.provider, country, tier });
+        return { ...survey, payout: share.payout(survey.providerPayout), promotion: share.promotion };
+      }),
+      { ...profile, country }
+    );
+    
+    const surveys = ranked.map(survey => ({
+      id: survey.id,
+      provider: survey.provider,
+      title: survey.title,
+      description: survey.description,
+      estimatedMinutes: survey.estimatedMinutes,
+      payout: survey.payout,
+      earningsPerMinute: survey.earningsPerMinute,
+      matchScore: survey.matchScore,
+      promotion: survey.promotion,
+      category: survey.category,
+      available: survey.available
+    }));
+    
+    res.json({ surveys, count: surveys.length, providers: surveyProviders.getEnabledProviders() });
   } catch (error) {
     console.error('Survey fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch surveys' });
@@ -55,14 +137,47 @@ router.get('/available/:userId', async (req, res) => {
 router.post('/start/:surveyId', async (req, res) => {
   try {
     const { surveyId } = req.params;
-    const { userId } = req.body;
+    const { userId, deviceData } = req.body;
+    
+    if (!sessionService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const profile = await surveyMatcher.getProfile(userId);
+    const context = await userContext(req, userId, profile);
+    // Resolved the same way /available listed it
+    const survey = await inventoryCache.findSurvey(context, surveyId);
+    if (!survey || !survey.available) {
+      return res.status(404).json({ error: 'Survey is no longer available' });
+    }
+    
+    const share = await revenueShare.forUser(userId, { provider: survey.provider, country: context.country });
+    
+    const { session, resumed } = await sessionService.start(
+      userId,
+      { ...survey, payout: share.payout(survey.providerPayout) },
+      {
+        fingerprint: FingerprintService.generateFromClient(deviceData) || FingerprintService.generate(req),
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        country: context.country
+      }
+    );
+    
+    const provider = surveyProviders.getProvider(survey.provider);
     
-    // TODO: Call provider API to start survey
     res.json({
       success: true,
+      sessionId: session.sessionId,
       surveyId,
-      surveyUrl: `https://survey.provider.com/${surveyId}?user=${userId}`,
-      expiresIn: 3600
+      surveyUrl: provider.buildEntryUrl(survey, session.redirectToken),
+      status: session.status,
+      resumed,
+      expiresIn: Math.max(0, Math.round((new Date(session.expiresAt) - Date.now()) / 1000)),
+      expiresAt: session.expiresAt
     });
   } catch (error) {
     console.error('Survey start error:', error);
@@ -70,24 +185,60 @@ router.post('/start/:surveyId', async (req, res) => {
   }
 });
 
-// Complete a survey (webhook from provider or client callback)
+// Provider postback (server-to-server, signed by the provider)
+const handlePostback = async (req, res) => {
+  try {
+    if (!postbackService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    // Each adapter reads only the params its signature covers
+    const result = await postbackService.handle(req.params.provider, req);
+    
+    if (!result.success) {
+      return res.status(POSTBACK_ERROR_STATUS[result.code] || 400).json({ error: result.error, code: result.code });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Survey postback error:', error);
+    res.status(500).json({ error: 'Failed to process postback' });
+  }
+};
+
+router.get('/postback/:provider', handlePostback);
+router.post('/postback/:provider', handlePostback);
+
+// Client callback after the survey closes
+// Only ever reports "pending" - money is credited by the signed provider postback
 router.post('/complete', async (req, res) => {
   try {
-    const { userId, surveyId, providerPayout } = req.body;
+    const { userId, sessionId } = req.body;
+    
+    if (!sessionService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId || !sessionId) {
+      return res.status(400).json({ error: 'userId and sessionId are required' });
+    }
     
-    // Calculate user payout (provider pays you, you take cut, user gets rest)
-    const userPayout = providerPayout * (1 - PROVIDER_CONFIG.marginPercent / 100);
+    const session = await sessionService.recordReturn(sessionId, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Survey session not found' });
+    }
     
-    // TODO: Database operations
-    // 1. Add userPayout to user balance
-    // 2. Record transaction
-    // 3. Update surveys_completed count
-    // 4. Check for achievements
+    // The postback may already have settled the session - report what it found
+    const settled = session.status !== 'in_progress';
     
     res.json({
       success: true,
-      earned: userPayout,
-      message: `+$${userPayout.toFixed(2)} added to your balance!`
+      sessionId: session.sessionId,
+      surveyId: session.surveyId,
+      status: settled ? session.status : 'pending',
+      earned: session.earned,
+      message: settled
+        ? `Survey ${session.status.replace('_', ' ')}`
+        : 'Thanks! Your reward will be added once the survey provider confirms your completion.'
     });
   } catch (error) {
     console.error('Survey complete error:', error);
@@ -95,14 +246,78 @@ router.post('/complete', async (req, res) => {
   }
 });
 
+// Abandon an in-progress survey
+router.post('/abandon/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { userId } = req.body;
+    
+    if (!sessionService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const result = await sessionService.abandon(sessionId, userId);
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 409).json({ error: result.error, code: result.code });
+    }
+    
+    res.json({ success: true, sessionId: result.session.sessionId, status: result.session.status });
+  } catch (error) {
+    console.error('Survey abandon error:', error);
+    res.status(500).json({ error: 'Failed to abandon survey' });
+  }
+});
+
+// Rate a finished survey - body: { userId, lengthAccurate, paidAsPromised, issues }
+router.post('/rate/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { userId, lengthAccurate, paidAsPromised, issues } = req.body;
+    
+    if (!ratingService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const result = await ratingService.submit(userId, sessionId, { lengthAccurate, paidAsPromised, issues });
+    if (!result.success) {
+      const status = { NOT_FOUND: 404, ALREADY_RATED: 409, NOT_RATEABLE: 409 }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Survey rating error:', error);
+    res.status(500).json({ error: 'Failed to save rating' });
+  }
+});
+
 // Get user survey history
 router.get('/history/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    if (!sessionService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
     
-    // TODO: Fetch from database
-    const history = [];
+    const history = (await sessionService.getHistory(userId, limit)).map(session => ({
+      sessionId: session.sessionId,
+      surveyId: session.surveyId,
+      provider: session.provider,
+      title: session.title,
+      status: session.status,
+      estimatedMinutes: session.estimatedMinutes,
+      earned: session.earned,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt
+    }));
     
     res.json({ history, count: history.length });
   } catch (error) {
@@ -116,14 +331,11 @@ router.get('/stats/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // TODO: Aggregate from database
-    const stats = {
-      totalCompleted: 0,
-      totalEarned: 0,
-      averagePayout: 0,
-      thisWeek: 0,
-      thisMonth: 0
-    };
+    if (!sessionService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const stats = await sessionService.getStats(userId);
     
     res.json(stats);
   } catch (error) {
@@ -132,4 +344,347 @@ router.get('/stats/:userId', async (req, res) => {
   }
 });
 
+// Profiler questions the user hasn't answered yet
+router.get('/profiler/questions/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!profilerService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const questions = await profilerService.getUnanswered(userId);
+    
+    res.json({ questions, count: questions.length, complete: await profilerService.isComplete(userId) });
+  } catch (error) {
+    console.error('Profiler questions error:', error);
+    res.status(500).json({ error: 'Failed to fetch profiler questions' });
+  }
+});
+
+// Current profiler answers
+router.get('/profiler/answers/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!profilerService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    res.json({ answers: await profilerService.getAnswers(userId) });
+  } catch (error) {
+    console.error('Profiler answers error:', error);
+    res.status(500).json({ error: 'Failed to fetch profiler answers' });
+  }
+});
+
+// Submit profiler answers - body: { userId, answers: { questionKey: value } }
+router.post('/profiler/answers', async (req, res) => {
+  try {
+    const { userId, answers } = req.body;
+    
+    if (!profilerService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const result = await profilerService.submitAnswers(userId, answers || {});
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Profiler submit error:', error);
+    res.status(500).json({ error: 'Failed to save profiler answers' });
+  }
+});
+
+// First-party surveys the user can take
+router.get('/first-party/available/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const surveys = await firstPartyService.getAvailable(userId, {
+      country: req.headers['cf-ipcountry'],
+      tier: await revenueShare.getTier(userId)
+    });
+    
+    res.json({ surveys, count: surveys.length });
+  } catch (error) {
+    console.error('First-party survey fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch surveys' });
+  }
+});
+
+// Start (or resume) a first-party survey - returns the first unanswered question
+router.post('/first-party/:surveyId/start', async (req, res) => {
+  try {
+    const { surveyId } = req.params;
+    const { userId } = req.body;
+    
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const result = await firstPartyService.start(userId, surveyId, {
+      ip: req.ip,
+      country: req.headers['cf-ipcountry']
+    });
+    if (!result.success) {
+      return res.status(result.code === 'NOT_AVAILABLE' ? 404 : 409).json({ error: result.error, code: result.code });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('First-party survey start error:', error);
+    res.status(500).json({ error: 'Failed to start survey' });
+  }
+});
+
+// Current question of a first-party response
+router.get('/first-party/responses/:responseId', async (req, res) => {
+  try {
+    const { responseId } = req.params;
+    const { userId } = req.query;
+    
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const response = await firstPartyService.getResponse(userId, responseId);
+    if (!response) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+    
+    res.json({ success: true, ...response });
+  } catch (error) {
+    console.error('First-party response fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch response' });
+  }
+});
+
+// Answer the current question - body: { userId, questionId, answer }
+router.post('/first-party/responses/:responseId/answer', async (req, res) => {
+  try {
+    const { responseId } = req.params;
+    const { userId, questionId, answer } = req.body;
+    
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    if (!userId || !questionId) {
+      return res.status(400).json({ error: 'userId and questionId are required' });
+    }
+    
+    const result = await firstPartyService.answer(userId, responseId, { questionId, answer });
+    if (!result.success) {
+      const status = { NOT_FOUND: 404, INVALID_ANSWER: 400 }[result.code] || 409;
+      return res.status(status).json({ error: result.error, code: result.code, currentQuestionId: result.currentQuestionId });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('First-party answer error:', error);
+    res.status(500).json({ error: 'Failed to save answer' });
+  }
+});
+
+// Admin: inventory cache hit/miss metrics and per-provider freshness
+router.get('/admin/inventory', auth, adminOnly, async (req, res) => {
+  try {
+    if (!inventoryCache) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    res.json({ success: true, metrics: await inventoryCache.getMetrics() });
+  } catch (error) {
+    console.error('Survey inventory metrics error:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory metrics' });
+  }
+});
+
+// Admin: force an inventory refresh for every provider
+router.post('/admin/inventory/refresh', auth, adminOnly, async (req, res) => {
+  try {
+    if (!inventoryCache) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const surveys = await inventoryCache.refreshAll();
+    
+    res.json({ success: true, surveys, metrics: await inventoryCache.getMetrics() });
+  } catch (error) {
+    console.error('Survey inventory refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh inventory' });
+  }
+});
+
+// Admin: quality scores from user ratings, worst providers and surveys first
+router.get('/admin/quality', auth, adminOnly, async (req, res) => {
+  try {
+    if (!ratingService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const report = await ratingService.getQualityReport({
+      days: Math.min(parseInt(req.query.days) || 30, 365),
+      minRatings: parseInt(req.query.minRatings) || 5,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Survey quality report error:', error);
+    res.status(500).json({ error: 'Failed to build quality report' });
+  }
+});
+
+// Admin: survey reversal rates per provider and per user
+router.get('/admin/reversals', auth, adminOnly, async (req, res) => {
+  try {
+    if (!postbackService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const report = await postbackService.getReversalReport({
+      days: Math.min(parseInt(req.query.days) || 30, 365),
+      minCompletions: parseInt(req.query.minCompletions) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Survey reversal report error:', error);
+    res.status(500).json({ error: 'Failed to build reversal report' });
+  }
+});
+
+// Admin: first-party surveys, optionally filtered by ?status=
+router.get('/admin/first-party', auth, adminOnly, async (req, res) => {
+  try {
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const surveys = await firstPartyService.listSurveys({ status: req.query.status });
+    
+    res.json({ success: true, surveys, count: surveys.length });
+  } catch (error) {
+    console.error('First-party survey list error:', error);
+    res.status(500).json({ error: 'Failed to fetch surveys' });
+  }
+});
+
+// Admin: create a draft first-party survey
+router.post('/admin/first-party', auth, adminOnly, async (req, res) => {
+  try {
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const result = await firstPartyService.createSurvey(req.body, req.user.id);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+    
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('First-party survey create error:', error);
+    res.status(500).json({ error: 'Failed to create survey' });
+  }
+});
+
+// Admin: one first-party survey with response counts
+router.get('/admin/first-party/:surveyId', auth, adminOnly, async (req, res) => {
+  try {
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const survey = await firstPartyService.getSurvey(req.params.surveyId);
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    res.json({ success: true, survey });
+  } catch (error) {
+    console.error('First-party survey fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch survey' });
+  }
+});
+
+// Admin: update a first-party survey (questions only while draft)
+router.put('/admin/first-party/:surveyId', auth, adminOnly, async (req, res) => {
+  try {
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const result = await firstPartyService.updateSurvey(req.params.surveyId, req.body);
+    if (!result.success) {
+      const status = { NOT_FOUND: 404, NOT_EDITABLE: 409 }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('First-party survey update error:', error);
+    res.status(500).json({ error: 'Failed to update survey' });
+  }
+});
+
+// Admin: activate, pause or close a first-party survey - body: { status }
+router.post('/admin/first-party/:surveyId/status', auth, adminOnly, async (req, res) => {
+  try {
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const result = await firstPartyService.setStatus(req.params.surveyId, req.body.status);
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 409).json({ error: result.error, code: result.code });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('First-party survey status error:', error);
+    res.status(500).json({ error: 'Failed to update survey status' });
+  }
+});
+
+// Admin: download a first-party survey's responses as XLSX
+router.get('/admin/first-party/:surveyId/export', auth, adminOnly, async (req, res) => {
+  try {
+    if (!firstPartyService) {
+      return res.status(503).json({ error: 'Survey providers not initialized' });
+    }
+    
+    const file = await firstPartyService.exportResponses(req.params.surveyId);
+    if (!file) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(Buffer.from(file.buffer));
+  } catch (error) {
+    console.error('First-party survey export error:', error);
+    res.status(500).json({ error: 'Failed to export responses' });
+  }
+});
+
 module.exports = router;
+module.exports.initServices = initServices;
@@ -0,0 +1,804 @@
+/**
+ * First-Party Survey Service
+ * Surveys we author for brand partners - definitions, one-question-at-a-time responses and XLSX export
+ */
+
+const ExcelJS = require('exceljs');
+const db = require('../database/db');
+const { normalizeTargeting } = require('./survey-providers');
+const ResponseQualityChecker = require('./response-quality');
+
+const QUESTION_TYPES = ['single_choice', 'multi_choice', 'likert', 'open_text'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+
+// Where a branch can send the respondent besides another question
+const END = 'end';
+const SCREEN_OUT = 'screen_out';
+
+// Allowed survey status changes - questions can only be edited while draft
+const TRANSITIONS = {
+  draft: ['active'],
+  active: ['paused', 'closed'],
+  paused: ['active', 'closed'],
+  closed: []
+};
+
+class FirstPartySurveyService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      // Provider name used for revenue share and balance references
+      providerName: 'firstparty',
+      maxOpenTextLength: 2000,
+      likertScale: { min: 1, max: 5 },
+      quality: {},
+      ...config
+    };
+    this.surveyMatcher = deps.surveyMatcher;
+    this.postbackService = deps.postbackService;
+    this.fraudService = deps.fraudService;
+    this.qualityChecker = deps.qualityChecker || new ResponseQualityChecker(this.config.quality);
+  }
+
+  // ---------------------------------------------
+  // Authoring (admin)
+  // ---------------------------------------------
+
+  /**
+   * Create a draft survey from a definition
+   */
+  async createSurvey(input, createdBy = null) {
+    const definition = this._validateDefinition(input);
+    if (definition.error) {
+      return { success: false, error: definition.error, code: 'INVALID_SURVEY' };
+    }
+
+    const result = await db.query(
+      `INSERT INTO first_party_surveys
+         (title, description, partner, payout, estimated_minutes, max_completes, questions, quotas, targeting, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        definition.title,
+        definition.description,
+        definition.partner,
+        definition.payout,
+        definition.estimatedMinutes,
+        definition.maxCompletes,
+        JSON.stringify(definition.questions),
+        JSON.stringify(definition.quotas),
+        definition.targeting,
+        createdBy
+      ]
+    );
+    return { success: true, survey: this._formatSurvey(result.rows[0]) };
+  }
+
+  /**
+   * Update a survey - questions are locked once it leaves draft
+   */
+  async updateSurvey(surveyId, input) {
+    const existing = await this._getRow(surveyId);
+    if (!existing) {
+      return { success: false, error: 'Survey not found', code: 'NOT_FOUND' };
+    }
+    if (input.questions && existing.status !== 'draft') {
+      return { success: false, error: 'Questions can only be changed while the survey is a draft', code: 'NOT_EDITABLE' };
+    }
+
+    const definition = this._validateDefinition({ ...this._formatSurvey(existing), ...input });
+    if (definition.error) {
+      return { success: false, error: definition.error, code: 'INVALID_SURVEY' };
+    }
+
+    const result = await db.query(
+      `UPDATE first_party_surveys
+       SET title = $1, description = $2, partner = $3, payout = $4, estimated_minutes = $5, max_completes = $6,
+           questions = $7, quotas = $8, targeting = $9, updated_at = NOW()
+       WHERE id = $10
+       RETURNING *`,
+      [
+        definition.title,
+        definition.description,
+        definition.partner,
+        definition.payout,
+        definition.estimatedMinutes,
+        definition.maxCompletes,
+        JSON.stringify(definition.questions),
+        JSON.stringify(definition.quotas),
+        definition.targeting,
+        surveyId
+      ]
+    );
+    return { success: true, survey: this._formatSurvey(result.rows[0]) };
+  }
+
+  /**
+   * Move a survey through draft -> active <-> paused -> closed
+   */
+  async setStatus(surveyId, status) {
+    const existing = await this._getRow(surveyId);
+    if (!existing) {
+      return { success: false, error: 'Survey not found', code: 'NOT_FOUND' };
+    }
+    if (!(TRANSITIONS[existing.status] || []).includes(status)) {
+      return { success: false, error: `Can't move a ${existing.status} survey to ${status}`, code: 'INVALID_TRANSITION' };
+    }
+
+    const result = await db.query(
+      `UPDATE first_party_surveys
+       SET status = $1, updated_at = NOW(),
+           activated_at = CASE WHEN $2 THEN COALESCE(activated_at, NOW()) ELSE activated_at END,
+           closed_at = CASE WHEN $3 THEN NOW() ELSE closed_at END
+       WHERE id = $4
+       RETURNING *`,
+      [status, status === 'active', status === 'closed', surveyId]
+    );
+    return { success: true, survey: this._formatSurvey(result.rows[0]) };
+  }
+
+  /**
+   * One survey with its response counts
+   */
+  async getSurvey(surveyId) {
+    const row = await this._getRow(surveyId);
+    if (!row) return null;
+
+    const counts = await this._responseCounts([row.id]);
+    return { ...this._formatSurvey(row), responses: counts[row.id] || this._emptyCounts() };
+  }
+
+  /**
+   * All surveys, optionally by status, newest first
+   */
+  async listSurveys({ status } = {}) {
+    const result = await db.query(
+      `SELECT * FROM first_party_surveys ${status ? 'WHERE status = $1' : ''} ORDER BY created_at DESC`,
+      status ? [status] : []
+    );
+    const counts = await this._responseCounts(result.rows.map(row => row.id));
+    return result.rows.map(row => ({ ...this._formatSurvey(row), responses: counts[row.id] || this._emptyCounts() }));
+  }
+
+  /**
+   * XLSX workbook of every response - one row per respondent, one column per question
+   */
+  async exportResponses(surveyId) {
+    const row = await this._getRow(surveyId);
+    if (!row) return null;
+    const survey = this._formatSurvey(row);
+
+    const responses = await db.query(
+      'SELECT * FROM first_party_responses WHERE survey_id = $1 ORDER BY started_at',
+      [surveyId]
+    );
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Responses');
+    sheet.columns = [
+      { header: 'Response ID', key: 'id', width: 12 },
+      { header: 'User ID', key: 'userId', width: 10 },
+      { header: 'Status', key: 'status', width: 14 },
+      { header: 'Country', key: 'country', width: 9 },
+      { header: 'Started', key: 'startedAt', width: 22 },
+      { header: 'Completed', key: 'completedAt', width: 22 },
+      { header: 'Quality flags', key: 'qualityFlags', width: 24 },
+      ...survey.questions.map(q => ({ header: q.text, key: `q_${q.id}`, width: 30 }))
+    ];
+    sheet.getRow(1).font = { bold: true };
+
+    for (const response of responses.rows) {
+      const answers = response.answers || {};
+      const values = {
+        id: response.id,
+        userId: response.user_id,
+        status: response.status,
+        country: response.country,
+        startedAt: response.started_at,
+        completedAt: response.completed_at,
+        qualityFlags: response.quality_checks ? response.quality_checks.failed.join(', ') : null
+      };
+      for (const question of survey.questions) {
+        values[`q_${question.id}`] = this._answerLabel(question, answers[question.id]);
+      }
+      sheet.addRow(values);
+    }
+
+    const questionSheet = workbook.addWorksheet('Questions');
+    questionSheet.columns = [
+      { header: 'ID', key: 'id', width: 12 },
+      { header: 'Type', key: 'type', width: 14 },
+      { header: 'Question', key: 'text', width: 50 },
+      { header: 'Options', key: 'options', width: 50 }
+    ];
+    questionSheet.getRow(1).font = { bold: true };
+    for (const question of survey.questions) {
+      questionSheet.addRow({
+        id: question.id,
+        type: question.type,
+        text: question.text,
+        options: question.type === 'likert'
+          ? `${question.scale.min}-${question.scale.max}`
+          : (question.options || []).map(o => `${o.value}: ${o.label}`).join('; ')
+      });
+    }
+
+    return {
+      filename: `survey-${survey.id}-responses.xlsx`,
+      buffer: await workbook.xlsx.writeBuffer(),
+      count: responses.rows.length
+    };
+  }
+
+  // ---------------------------------------------
+  // Responding (users)
+  // ---------------------------------------------
+
+  /**
+   * Active surveys the user is targeted for and hasn't taken, with their payout
+   */
+  async getAvailable(userId, { country, tier } = {}) {
+    const [surveys, taken, profile] = await Promise.all([
+      db.query(
+        `SELECT s.*,
+           (SELECT COUNT(*) FROM first_party_responses r WHERE r.survey_id = s.id AND r.status = 'completed') AS completes
+         FROM first_party_surveys s
+         WHERE s.status = 'active'
+         ORDER BY s.activated_at DESC`
+      ),
+      db.query('SELECT survey_id FROM first_party_responses WHERE user_id = $1', [userId]),
+      this.surveyMatcher.getProfile(userId)
+    ]);
+    const takenIds = taken.rows.map(row => row.survey_id);
+    const userProfile = { ...profile, country: profile.country || country };
+    const revenueShare = this.postbackService.revenueShare;
+
+    return surveys.rows
+      .filter(row => !takenIds.includes(row.id))
+      .filter(row => row.max_completes === null || parseInt(row.completes) < row.max_completes)
+      .map(row => this._formatSurvey(row))
+      .filter(survey => this.surveyMatcher.targetingFit(survey, userProfile) > 0)
+      .map(survey => {
+        const share = revenueShare.resolve({ provider: this.config.providerName, country: userProfile.country, tier });
+        return {
+          id: survey.id,
+          title: survey.title,
+          description: survey.description,
+          estimatedMinutes: survey.estimatedMinutes,
+          questions: survey.questions.length,
+          payout: share.payout(survey.payout),
+          promotion: share.promotion
+        };
+      });
+  }
+
+  /**
+   * Start (or resume) a response and return the current question
+   */
+  async start(userId, surveyId, context = {}) {
+    const row = await this._getRow(surveyId);
+    if (!row || row.status !== 'active') {
+      return { success: false, error: 'Survey is not available', code: 'NOT_AVAILABLE' };
+    }
+    const survey = this._formatSurvey(row);
+
+    const existing = await db.query(
+      'SELECT * FROM first_party_responses WHERE survey_id = $1 AND user_id = $2',
+      [surveyId, userId]
+    );
+    if (existing.rows.length > 0) {
+      const response = existing.rows[0];
+      if (response.status !== 'in_progress') {
+        return { success: false, error: 'You have already taken this survey', code: 'ALREADY_RESPONDED' };
+      }
+      return { success: true, resumed: true, ...this._progress(survey, response) };
+    }
+
+    const profile = await this.surveyMatcher.getProfile(userId);
+    const country = profile.country || context.country;
+    if (this.surveyMatcher.targetingFit(survey, { ...profile, country }) === 0) {
+      return { success: false, error: 'Survey is not available', code: 'NOT_AVAILABLE' };
+    }
+    if (await this._isFull(db, survey)) {
+      return { success: false, error: 'Survey is full', code: 'QUOTA_FULL' };
+    }
+
+    const result = await db.query(
+      `INSERT INTO first_party_responses (survey_id, user_id, current_question_id, country, ip)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (survey_id, user_id) DO NOTHING
+       RETURNING *`,
+      [
+        surveyId,
+        userId,
+        survey.questions[0].id,
+        country ? String(country).toUpperCase().slice(0, 2) : null,
+        context.ip
+      ]
+    );
+    if (result.rows.length === 0) {
+      // Lost a race with a concurrent start - resume that one
+      return this.start(userId, surveyId, context);
+    }
+
+    return { success: true, resumed: false, ...this._progress(survey, result.rows[0]) };
+  }
+
+  /**
+   * Current question of a response
+   */
+  async getResponse(userId, responseId) {
+    const result = await db.query(
+      `SELECT r.*, row_to_json(s.*) AS survey
+       FROM first_party_responses r JOIN first_party_surveys s ON s.id = r.survey_id
+       WHERE r.id = $1 AND r.user_id = $2`,
+      [responseId, userId]
+    );
+    if (result.rows.length === 0) return null;
+    return this._progress(this._formatSurvey(result.rows[0].survey), result.rows[0]);
+  }
+
+  /**
+   * Record the answer to the current question and move to the next one
+   * Branching, quotas, quality checks and the completion credit all happen here
+   */
+  async answer(userId, responseId, { questionId, answer } = {}) {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT * FROM first_party_responses WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [responseId, userId]
+      );
+      const response = result.rows[0];
+      if (!response) {
+        await client.query('ROLLBACK');
+        return { success: false, error: 'Response not found', code: 'NOT_FOUND' };
+      }
+
+      // Lock the survey so concurrent completions can't overshoot its quotas
+      const surveyResult = await client.query('SELECT * FROM first_party_surveys WHERE id = $1 FOR UPDATE', [response.survey_id]);
+      const survey = this._formatSurvey(surveyResult.rows[0]);
+
+      if (response.status !== 'in_progress') {
+        await client.query('ROLLBACK');
+        return { success: false, error: `Response is already ${response.status}`, code: 'NOT_IN_PROGRESS' };
+      }
+      if (String(questionId) !== response.current_question_id) {
+        await client.query('ROLLBACK');
+        return { success: false, error: 'That is not the current question', code: 'OUT_OF_ORDER', currentQuestionId: response.current_question_id };
+      }
+
+      const question = survey.questions.find(q => q.id === response.current_question_id);
+      const value = this._validateAnswer(question, answer);
+      if (value === undefined) {
+        await client.query('ROLLBACK');
+        return { success: false, error: `Invalid answer for "${question.id}"`, code: 'INVALID_ANSWER' };
+      }
+
+      const answers = { ...(response.answers || {}) };
+      if (value !== null) answers[question.id] = value;
+      const path = [...(response.path || []), question.id];
+      // Time on this question runs from the previous answer (or the start)
+      const timings = {
+        ...(response.timings || {}),
+        [question.id]: Math.round(((Date.now() - new Date(response.updated_at).getTime()) / 1000) * 10) / 10
+      };
+
+      let next = this._nextStep(survey, question, value);
+      if (next !== SCREEN_OUT && await this._hitsFullQuota(client, survey, question, value)) {
+        next = 'quota_full';
+      }
+      // Cells may have filled since their questions were answered - recheck them all on the final
+      // answers while the survey lock is held, so completions can't overshoot
+      if (next === END && (await this._isFull(client, survey) || await this._inFullQuota(client, survey, answers))) {
+        next = 'quota_full';
+      }
+
+      let status = 'in_progress';
+      if (next === END) status = 'completed';
+      else if (next === SCREEN_OUT) status = 'screened_out';
+      else if (next === 'quota_full') status = 'quota_full';
+
+      // Failed quality checks are kept for review but never paid
+      const quality = status === 'completed' ? this.qualityChecker.check(survey, answers, timings) : null;
+      if (quality && !quality.passed) status = 'flagged';
+
+      let payout = null;
+      let transaction = null;
+      if (status === 'completed') {
+        payout = await this.postbackService.resolvePayout(client, {
+          userId,
+          providerName: this.config.providerName,
+          providerPayout: survey.payout,
+          country: response.country,
+          at: response.started_at
+        });
+        transaction = await this.postbackService.credit(client, {
+          userId,
+          amount: payout.amount,
+          type: 'survey',
+          description: `Survey completed (${this.config.providerName})`,
+          providerName: this.config.providerName,
+          transactionId: `response_${response.id}`,
+          revenueShare: payout.audit
+        });
+      }
+
+      const updated = await client.query(
+        `UPDATE first_party_responses
+         SET answers = $1, path = $2, status = $3, current_question_id = $4,
+             earned = $5, margin_percent = $6, revenue_share = $7, balance_transaction_id = $8,
+             completed_at = CASE WHEN $9 THEN NOW() END, timings = $10, quality_checks = $11, updated_at = NOW()
+         WHERE id = $12
+         RETURNING *`,
+        [
+          JSON.stringify(answers),
+          JSON.stringify(path),
+          status,
+          status === 'in_progress' ? next : null,
+          transaction ? payout.amount : 0,
+          payout ? payout.share.marginPercent : null,
+          payout ? payout.audit : null,
+          transaction ? transaction.id : null,
+          status !== 'in_progress',
+          JSON.stringify(timings),
+          quality ? JSON.stringify(quality) : null,
+          response.id
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      if (status === 'flagged') {
+        await this._logQualityFlag(userId, survey, response.id, quality);
+      }
+
+      return {
+        success: true,
+        ...this._progress(survey, updated.rows[0]),
+        earned: transaction ? payout.amount : 0
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---------------------------------------------
+  // Helpers
+  // ---------------------------------------------
+
+  /**
+   * Raise a fraud signal for a response that failed quality checks
+   * A missed attention check or several failures at once is high severity
+   */
+  async _logQualityFlag(userId, survey, responseId, quality) {
+    if (!this.fraudService) return;
+
+    try {
+      const speed = quality.checks.find(c => c.name === 'speed');
+      await this.fraudService.logEvent(
+        String(userId),
+        'survey_quality_failed',
+        quality.failed.includes('attention_check') || quality.failed.length > 1 ? 'high' : 'medium',
+        {
+          surveyId: `${this.config.providerName}_${survey.id}`,
+          provider: this.config.providerName,
+          responseId: String(responseId),
+          failedChecks: quality.failed,
+          completionTime: speed.totalSeconds,
+          expectedMinTime: speed.expectedSeconds
+        }
+      );
+    } catch (err) {
+      console.error('Failed to log survey quality fraud signal:', err.message);
+    }
+  }
+
+  async _getRow(surveyId) {
+    if (!/^\d+$/.test(String(surveyId))) return null;
+    const result = await db.query('SELECT * FROM first_party_surveys WHERE id = $1', [surveyId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Where an answer leads: the first matching branch, else question.next, else the next question
+   */
+  _nextStep(survey, question, value) {
+    const branch = (question.branches || []).find(b => this._matchesCondition(b.when, value));
+    if (branch) return branch.goTo;
+    if (question.next) return question.next;
+
+    const index = survey.questions.findIndex(q => q.id === question.id);
+    return index + 1 < survey.questions.length ? survey.questions[index + 1].id : END;
+  }
+
+  /**
+   * Branch conditions: { answers: [...] } matches any chosen option,
+   * { min, max } matches a likert value in range
+   */
+  _matchesCondition(when = {}, value) {
+    if (value === null || value === undefined) return false;
+
+    if (when.answers) {
+      const chosen = Array.isArray(value) ? value : [value];
+      return chosen.some(v => when.answers.includes(v));
+    }
+    if (when.min !== undefined || when.max !== undefined) {
+      return typeof value === 'number' &&
+        (when.min === undefined || value >= when.min) &&
+        (when.max === undefined || value <= when.max);
+    }
+    return false;
+  }
+
+  /**
+   * True if this answer puts the respondent in a quota cell that's already full
+   */
+  async _hitsFullQuota(client, survey, question, value) {
+    return this._inFullQuota(client, survey, { [question.id]: value });
+  }
+
+  /**
+   * True if any of these answers falls in a quota cell that's already full
+   */
+  async _inFullQuota(client, survey, answers) {
+    const quotas = survey.quotas.filter(q => q.questionId in answers && this._matchesCondition(q, answers[q.questionId]));
+
+    for (const quota of quotas) {
+      const result = await client.query(
+        `SELECT COUNT(*) FROM first_party_responses
+         WHERE survey_id = $1 AND status = 'completed' AND answers -> $2 ?| $3::text[]`,
+        [survey.id, quota.questionId, quota.answers]
+      );
+      if (parseInt(result.rows[0].count) >= quota.limit) return true;
+    }
+    return false;
+  }
+
+  async _isFull(client, survey) {
+    if (survey.maxCompletes === null) return false;
+    const result = await client.query(
+      `SELECT COUNT(*) FROM first_party_responses WHERE survey_id = $1 AND status = 'completed'`,
+      [survey.id]
+    );
+    return parseInt(result.rows[0].count) >= survey.maxCompletes;
+  }
+
+  /**
+   * Cleaned answer, null for a skipped optional question, or undefined if invalid
+   */
+  _validateAnswer(question, value) {
+    const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (empty) return question.required ? undefined : null;
+
+    const allowed = (question.options || []).map(o => o.value);
+
+    switch (question.type) {
+      case 'single_choice':
+        return allowed.includes(value) ? value : undefined;
+      case 'multi_choice': {
+        const values = Array.isArray(value) ? [...new Set(value)] : [];
+        return values.length > 0 && values.every(v => allowed.includes(v)) ? values : undefined;
+      }
+      case 'likert': {
+        const number = Number(value);
+        return Number.isInteger(number) && number >= question.scale.min && number <= question.scale.max ? number : undefined;
+      }
+      case 'open_text': {
+        if (typeof value !== 'string') return undefined;
+        const text = value.trim().slice(0, question.maxLength || this.config.maxOpenTextLength);
+        return text || (question.required ? undefined : null);
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Check and normalize a survey definition - returns { error } on the first problem
+   */
+  _validateDefinition(input = {}) {
+    const title = String(input.title || '').trim();
+    if (!title) return { error: 'title is required' };
+
+    const payout = Number(input.payout);
+    if (!(payout >= 0)) return { error: 'payout must be a number of at least 0' };
+
+    const maxCompletes = input.maxCompletes === undefined || input.maxCompletes === null ? null : Number(input.maxCompletes);
+    if (maxCompletes !== null && !(Number.isInteger(maxCompletes) && maxCompletes > 0)) {
+      return { error: 'maxCompletes must be a positive whole number' };
+    }
+
+    if (!Array.isArray(input.questions) || input.questions.length === 0) {
+      return { error: 'At least one question is required' };
+    }
+
+    const questions = [];
+    for (const raw of input.questions) {
+      const question = this._normalizeQuestion(raw || {});
+      if (question.error) return question;
+      if (questions.some(q => q.id === question.id)) return { error: `Duplicate question id "${question.id}"` };
+      questions.push(question);
+    }
+
+    // Branches may only jump forward, so every path ends
+    for (const [index, question] of questions.entries()) {
+      const later = questions.slice(index + 1).map(q => q.id);
+      const targets = [...question.branches.map(b => b.goTo), ...(question.next ? [question.next] : [])];
+      const invalid = targets.find(target => ![END, SCREEN_OUT, ...later].includes(target));
+      if (invalid) return { error: `"${question.id}" jumps to "${invalid}" - branches must go to a later question, "end" or "screen_out"` };
+    }
+
+    const quotas = [];
+    for (const raw of input.quotas || []) {
+      const question = questions.find(q => q.id === String(raw.questionId));
+      const limit = Number(raw.limit);
+      const answers = Array.isArray(raw.answers) ? raw.answers.map(String) : [];
+      if (!question || !CHOICE_TYPES.includes(question.type)) {
+        return { error: 'Quotas must reference a single or multi choice question' };
+      }
+      if (answers.length === 0 || !answers.every(a => question.options.some(o => o.value === a))) {
+        return { error: `Quota answers must be options of "${question.id}"` };
+      }
+      if (!(Number.isInteger(limit) && limit > 0)) return { error: 'Quota limit must be a positive whole number' };
+      quotas.push({ name: raw.name || `${question.id}: ${answers.join(', ')}`, questionId: question.id, answers, limit });
+    }
+
+    return {
+      title,
+      description: input.description ? String(input.description) : null,
+      partner: input.partner ? String(input.partner) : null,
+      payout: Math.round(payout * 100) / 100,
+      estimatedMinutes: Math.max(1, parseInt(input.estimatedMinutes) || Math.ceil(questions.length / 3)),
+      maxCompletes,
+      questions,
+      quotas,
+      targeting: normalizeTargeting(input.targeting || {})
+    };
+  }
+
+  _normalizeQuestion(raw) {
+    const id = String(raw.id || '').trim();
+    if (!/^[A-Za-z0-9_]{1,50}$/.test(id)) return { error: 'Question ids must be 1-50 letters, numbers or underscores' };
+    if (!QUESTION_TYPES.includes(raw.type)) return { error: `"${id}" type must be one of ${QUESTION_TYPES.join(', ')}` };
+    if (!String(raw.text || '').trim()) return { error: `"${id}" needs text` };
+
+    const question = {
+      id,
+      type: raw.type,
+      text: String(raw.text).trim(),
+      required: raw.required !== false,
+      branches: (raw.branches || []).map(b => ({ when: b.when || {}, goTo: String(b.goTo) })),
+      next: raw.next ? String(raw.next) : null
+    };
+
+    if (CHOICE_TYPES.includes(raw.type)) {
+      const options = (raw.options || []).map(o => (typeof o === 'object' ? o : { value: o, label: o }))
+        .map(o => ({ value: String(o.value), label: String(o.label || o.value) }));
+      if (options.length < 2) return { error: `"${id}" needs at least two options` };
+      if (new Set(options.map(o => o.value)).size !== options.length) return { error: `"${id}" has duplicate options` };
+      question.options = options;
+    } else if (raw.type === 'likert') {
+      const scale = { ...this.config.likertScale, ...(raw.scale || {}) };
+      if (!Number.isInteger(scale.min) || !Number.isInteger(scale.max) || scale.min >= scale.max) {
+        return { error: `"${id}" scale needs whole numbers with min below max` };
+      }
+      question.scale = scale;
+    } else {
+      question.maxLength = Math.min(parseInt(raw.maxLength) || this.config.maxOpenTextLength, this.config.maxOpenTextLength);
+    }
+
+    // Quality-control settings - see ResponseQualityChecker
+    if (raw.attentionCheck) {
+      if (raw.type === 'open_text') return { error: `"${id}" can't be an attention check - open text has no right answer` };
+      const check = raw.attentionCheck;
+      const answers = Array.isArray(check.answers) ? check.answers.map(String) : null;
+      if (CHOICE_TYPES.includes(raw.type) && !(answers && answers.length > 0 && answers.every(a => question.options.some(o => o.value === a)))) {
+        return { error: `"${id}" attention check answers must be options of the question` };
+      }
+      if (raw.type === 'likert' && check.min === undefined && check.max === undefined) {
+        return { error: `"${id}" attention check needs min and/or max` };
+      }
+      question.attentionCheck = answers ? { answers } : { min: check.min, max: check.max };
+    }
+    if (raw.grid && raw.type === 'likert') question.grid = String(raw.grid);
+    if (Number(raw.expectedSeconds) > 0) question.expectedSeconds = Number(raw.expectedSeconds);
+
+    return question;
+  }
+
+  _answerLabel(question, value) {
+    if (value === undefined || value === null) return null;
+    if (!CHOICE_TYPES.includes(question.type)) return value;
+    const label = (v) => (question.options.find(o => o.value === v) || { label: v }).label;
+    return Array.isArray(value) ? value.map(label).join(', ') : label(value);
+  }
+
+  async _responseCounts(surveyIds) {
+    if (surveyIds.length === 0) return {};
+    const result = await db.query(
+      `SELECT survey_id, status, COUNT(*) AS count
+       FROM first_party_responses
+       WHERE survey_id = ANY($1)
+       GROUP BY survey_id, status`,
+      [surveyIds]
+    );
+
+    const counts = {};
+    for (const row of result.rows) {
+      counts[row.survey_id] = counts[row.survey_id] || this._emptyCounts();
+      counts[row.survey_id][row.status] = parseInt(row.count);
+      counts[row.survey_id].total += parseInt(row.count);
+    }
+    return counts;
+  }
+
+  _emptyCounts() {
+    return { total: 0, in_progress: 0, completed: 0, screened_out: 0, quota_full: 0, flagged: 0 };
+  }
+
+  /**
+   * Response state plus the question to show next (null once finished)
+   */
+  _progress(survey, response) {
+    const question = response.status === 'in_progress'
+      ? survey.questions.find(q => q.id === response.current_question_id)
+      : null;
+
+    return {
+      responseId: response.id,
+      surveyId: survey.id,
+      status: response.status,
+      answered: (response.path || []).length,
+      totalQuestions: survey.questions.length,
+      question: question ? this._formatQuestion(question) : null
+    };
+  }
+
+  /**
+   * Question for respondents - branching, quotas and attention-check answers stay server-side
+   */
+  _formatQuestion(question) {
+    return {
+      id: question.id,
+      type: question.type,
+      text: question.text,
+      required: question.required,
+      options: question.options,
+      scale: question.scale,
+      maxLength: question.maxLength
+    };
+  }
+
+  /**
+   * Format survey row for API responses
+   */
+  _formatSurvey(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      partner: row.partner,
+      status: row.status,
+      payout: parseFloat(row.payout),
+      estimatedMinutes: row.estimated_minutes,
+      maxCompletes: row.max_completes,
+      questions: row.questions || [],
+      quotas: row.quotas || [],
+      targeting: row.targeting || {},
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      activatedAt: row.activated_at,
+      closedAt: row.closed_at
+    };
+  }
+}
+
+module.exports = FirstPartySurveyService;
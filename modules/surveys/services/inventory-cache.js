@@ -0,0 +1,303 @@
+/**
+ * Survey Inventory Cache
+ * Inventory from providers that list the same surveys for everyone, refreshed in the background
+ * so /available never waits on them - per-user providers are cached per user for a short while
+ */
+
+const Redis = require('ioredis');
+const cron = require('node-cron');
+const { isOpen } = require('./survey-providers');
+
+class InventoryCache {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      refreshCron: '*/2 * * * *',
+      // Inventory older than this is stale - served as a miss and refetched
+      maxAgeSeconds: 600,
+      // Same for a per-user provider's list, kept short since it's only one user's
+      userMaxAgeSeconds: 120,
+      // Distinct quota_full postbacks that pull a survey before the next refresh
+      quotaFullThreshold: 3,
+      keyPrefix: 'survey_inventory',
+      ...config
+    };
+    this.providers = deps.providers;
+    this.redis = this.config.redisUrl ? new Redis(this.config.redisUrl) : null;
+    this.memoryStore = new Map(); // Fallback if no Redis
+    this.metrics = {
+      hits: 0,
+      misses: 0,
+      refreshes: 0,
+      refreshErrors: 0,
+      droppedStale: 0,
+      droppedQuota: 0,
+      lastRefreshAt: {}
+    };
+  }
+
+  _getKey(...parts) {
+    return [this.config.keyPrefix, ...parts].join(':');
+  }
+
+  /**
+   * Memory fallback entry, or null once its TTL has passed
+   */
+  _memoryGet(key) {
+    const entry = this.memoryStore.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.memoryStore.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async _get(key) {
+    const value = this.redis ? await this.redis.get(key) : this._memoryGet(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async _set(key, value, maxAgeSeconds = this.config.maxAgeSeconds) {
+    // Keep entries around a little past maxAge so a failed refresh can still be inspected
+    const ttl = maxAgeSeconds * 2;
+    if (this.redis) {
+      await this.redis.set(key, JSON.stringify(value), 'EX', ttl);
+    } else {
+      this.memoryStore.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttl * 1000 });
+    }
+  }
+
+  /**
+   * Add to a set that expires maxAgeSeconds after its first member - returns its size
+   */
+  async _addToSet(key, member) {
+    if (this.redis) {
+      const [[, added], [, size]] = await this.redis.multi().sadd(key, member).scard(key).exec();
+      if (added && size === 1) await this.redis.expire(key, this.config.maxAgeSeconds);
+      return size;
+    }
+
+    const members = this._memoryGet(key) || new Set();
+    if (members.size === 0) {
+      this.memoryStore.set(key, { value: members, expiresAt: Date.now() + this.config.maxAgeSeconds * 1000 });
+    }
+    members.add(member);
+    return members.size;
+  }
+
+  async _members(key) {
+    if (this.redis) return this.redis.smembers(key);
+    return [...(this._memoryGet(key) || [])];
+  }
+
+  /**
+   * Drop expired memory entries - per-user ones would otherwise pile up until read again
+   */
+  _pruneMemory() {
+    const now = Date.now();
+    for (const [key, entry] of this.memoryStore) {
+      if (entry.expiresAt <= now) this.memoryStore.delete(key);
+    }
+  }
+
+  /**
+   * Pull one provider's inventory and store it
+   * On failure the previous entry is kept until it goes stale
+   */
+  async refreshProvider(name) {
+    try {
+      // Shared inventory doesn't depend on who asks
+      const fetched = await this.providers.fetchProviderInventory(name, { userAgent: 'common-cents' });
+      const pulled = new Set(await this._members(this._getKey('quota_pulled', name)));
+      const surveys = fetched.filter(survey => !pulled.has(survey.id));
+      const entry = { provider: name, fetchedAt: Date.now(), surveys };
+      await this._set(this._getKey(name), entry);
+
+      this.metrics.refreshes++;
+      this.metrics.lastRefreshAt[name] = new Date(entry.fetchedAt).toISOString();
+      return entry;
+    } catch (err) {
+      this.metrics.refreshErrors++;
+      console.error(`Survey inventory refresh for "${name}" failed:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Enabled providers whose inventory is the same for every user - the only ones cached
+   */
+  getSharedProviders() {
+    return this.providers.getEnabledProviders().filter(name => this.providers.getProvider(name).sharedInventory);
+  }
+
+  /**
+   * Enabled providers that list surveys per user, cached per user by getUserInventory
+   */
+  getPerUserProviders() {
+    return this.providers.getEnabledProviders().filter(name => !this.providers.getProvider(name).sharedInventory);
+  }
+
+  /**
+   * Refresh every shared provider
+   */
+  async refreshAll() {
+    if (!this.redis) this._pruneMemory();
+    const names = this.getSharedProviders();
+    const entries = await Promise.all(names.map(name => this.refreshProvider(name)));
+    return entries.filter(Boolean).reduce((total, entry) => total + entry.surveys.length, 0);
+  }
+
+  /**
+   * Cached inventory for a provider - refetches on a miss or stale entry
+   */
+  async getProviderInventory(name) {
+    let entry = await this._get(this._getKey(name));
+
+    if (entry && this._isFresh(entry)) {
+      this.metrics.hits++;
+    } else {
+      this.metrics.misses++;
+      if (entry) this.metrics.droppedStale += entry.surveys.length;
+      entry = await this.refreshProvider(name);
+    }
+
+    return entry ? entry.surveys.filter(isOpen) : [];
+  }
+
+  /**
+   * A per-user provider's inventory for this user - refetches on a miss or stale entry
+   * Their lists and entry URLs are targeted and signed per user, so they're cached under the
+   * user for userMaxAgeSeconds: /available fills the entry and /start is served from it
+   */
+  async getUserInventory(name, user) {
+    const key = this._getKey(name, 'user', user.userId);
+    let entry = await this._get(key);
+
+    if (entry && this._isFresh(entry, this.config.userMaxAgeSeconds)) {
+      this.metrics.hits++;
+    } else {
+      this.metrics.misses++;
+      if (entry) this.metrics.droppedStale += entry.surveys.length;
+      const surveys = await this.providers.fetchProviderInventory(name, user);
+      entry = { provider: name, fetchedAt: Date.now(), surveys };
+      await this._set(key, entry, this.config.userMaxAgeSeconds);
+    }
+
+    const pulled = new Set(await this._members(this._getKey('quota_pulled', name)));
+    return entry.surveys.filter(survey => isOpen(survey) && !pulled.has(survey.id));
+  }
+
+  /**
+   * Deduped inventory for a user, from the shared and per-user caches - per-user filtering
+   * and ranking run on top of this
+   * A failing provider is logged and skipped so the others still serve
+   */
+  async getAvailableSurveys(user) {
+    const names = this.providers.getEnabledProviders();
+    const results = await Promise.allSettled(names.map(name => this._inventoryFor(name, user)));
+
+    const surveys = [];
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`Survey provider "${names[i]}" failed:`, result.reason.message);
+        return;
+      }
+      surveys.push(...result.value);
+    });
+    return this.providers.dedupe(surveys);
+  }
+
+  /**
+   * One survey from the same cached entry /available listed it from
+   */
+  async findSurvey(user, surveyId) {
+    const separator = surveyId.indexOf('_');
+    const name = separator > 0 ? surveyId.slice(0, separator) : null;
+    if (!name || !this.providers.getProvider(name)) return null;
+
+    const surveys = await this._inventoryFor(name, user);
+    return surveys.find(survey => survey.id === surveyId) || null;
+  }
+
+  _inventoryFor(name, user) {
+    return this.providers.getProvider(name).sharedInventory
+      ? this.getProviderInventory(name)
+      : this.getUserInventory(name, user);
+  }
+
+  /**
+   * Count a quota_full outcome and pull the survey once enough users hit it
+   * Providers often quota per demographic, so one screen isn't enough to drop it
+   */
+  async recordQuotaFull(surveyId, userId) {
+    const separator = surveyId ? surveyId.indexOf('_') : -1;
+    if (separator <= 0) return false;
+    const name = surveyId.slice(0, separator);
+
+    const count = await this._addToSet(this._getKey('quota_full', surveyId), String(userId));
+    if (count < this.config.quotaFullThreshold) return false;
+
+    // Remembered so refreshes keep it out until the window lapses
+    await this._addToSet(this._getKey('quota_pulled', name), surveyId);
+
+    const entry = await this._get(this._getKey(name));
+    if (!entry) return false;
+
+    const remaining = entry.surveys.filter(survey => survey.id !== surveyId);
+    if (remaining.length === entry.surveys.length) return false;
+
+    await this._set(this._getKey(name), { ...entry, surveys: remaining });
+    this.metrics.droppedQuota++;
+    return true;
+  }
+
+  /**
+   * Refresh on the configured cron schedule, starting with an immediate pull
+   */
+  schedule() {
+    this.refreshAll().catch(err => console.error('Survey inventory refresh error:', err.message));
+
+    return cron.schedule(this.config.refreshCron, async () => {
+      try {
+        await this.refreshAll();
+      } catch (err) {
+        console.error('Survey inventory refresh error:', err.message);
+      }
+    });
+  }
+
+  /**
+   * Hit/miss counters for this process plus current cache contents
+   */
+  async getMetrics() {
+    const { hits, misses } = this.metrics;
+    const providers = {};
+
+    for (const name of this.getSharedProviders()) {
+      const entry = await this._get(this._getKey(name));
+      providers[name] = entry
+        ? {
+          surveys: entry.surveys.length,
+          fetchedAt: new Date(entry.fetchedAt).toISOString(),
+          ageSeconds: Math.round((Date.now() - entry.fetchedAt) / 1000),
+          fresh: this._isFresh(entry)
+        }
+        : { surveys: 0, fetchedAt: null, ageSeconds: null, fresh: false };
+    }
+
+    return {
+      backend: this.redis ? 'redis' : 'memory',
+      ...this.metrics,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 10 : 0,
+      providers,
+      // Cached per user on request rather than refreshed here
+      perUserProviders: this.getPerUserProviders()
+    };
+  }
+
+  _isFresh(entry, maxAgeSeconds = this.config.maxAgeSeconds) {
+    return Date.now() - entry.fetchedAt < maxAgeSeconds * 1000;
+  }
+}
+
+module.exports = InventoryCache;
@@ -0,0 +1,184 @@
+/**
+ * Survey Matching Service
+ * Filters inventory by the user's profile and ranks it by expected earnings
+ */
+
+const mongoose = require('mongoose');
+const db = require('../database/db');
+const OnboardingProgress = require('../../onboarding/models/OnboardingProgress');
+
+// Attempts that count toward a completion rate (in-progress sessions don't)
+const FINISHED_STATUSES = ['completed', 'screened_out', 'quota_full', 'abandoned', 'expired', 'reversed'];
+
+class SurveyMatcher {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      // Completion rate assumed for providers/categories the user hasn't tried
+      priorCompletionRate: 0.6,
+      // How many attempts the prior is worth when smoothing observed rates
+      priorWeight: 3,
+      // Fit multiplier for each targeting criterion we can't check
+      unknownCriterionPenalty: 0.85,
+      weights: { earnings: 0.5, likelihood: 0.5 },
+      // How far a poor quality score (user ratings) can pull a match down
+      qualityWeight: 0.3,
+      ...config
+    };
+    this.profilerService = deps.profilerService || null;
+    this.ratingService = deps.ratingService || null;
+  }
+
+  /**
+   * Onboarding profile overlaid with profiler answers, which are more specific
+   */
+  async getProfile(userId) {
+    const [onboarding, profiler] = await Promise.all([
+      this._getOnboardingProfile(userId),
+      this.profilerService ? this.profilerService.getProfile(userId) : {}
+    ]);
+    return { ...onboarding, ...profiler };
+  }
+
+  /**
+   * Profile collected by onboarding - empty when Mongo isn't connected
+   */
+  async _getOnboardingProfile(userId) {
+    if (mongoose.connection.readyState !== 1) return {};
+
+    try {
+      const progress = await OnboardingProgress.findOne({ userId: String(userId) }).lean();
+      return (progress && progress.profileData) || {};
+    } catch (err) {
+      console.error('Survey profile lookup error:', err.message);
+      return {};
+    }
+  }
+
+  /**
+   * Smoothed completion rates per provider and per category for a user
+   */
+  async getCompletionRates(userId) {
+    const result = await db.query(
+      `SELECT provider, category,
+         COUNT(*) AS attempts,
+         COUNT(*) FILTER (WHERE status = 'completed') AS completed
+       FROM survey_sessions
+       WHERE user_id = $1 AND status = ANY($2)
+       GROUP BY provider, category`,
+      [userId, FINISHED_STATUSES]
+    );
+
+    const totals = { provider: {}, category: {} };
+    for (const row of result.rows) {
+      for (const [kind, key] of [['provider', row.provider], ['category', row.category || 'general']]) {
+        const entry = totals[kind][key] || { attempts: 0, completed: 0 };
+        entry.attempts += parseInt(row.attempts);
+        entry.completed += parseInt(row.completed);
+        totals[kind][key] = entry;
+      }
+    }
+
+    const smooth = ({ attempts, completed }) =>
+      (completed + this.config.priorCompletionRate * this.config.priorWeight) /
+      (attempts + this.config.priorWeight);
+
+    const rates = { provider: {}, category: {} };
+    for (const kind of ['provider', 'category']) {
+      for (const [key, entry] of Object.entries(totals[kind])) {
+        rates[kind][key] = smooth(entry);
+      }
+    }
+    return rates;
+  }
+
+  /**
+   * How well the user fits a survey's targeting (0 = excluded, 1 = perfect)
+   */
+  targetingFit(survey, profile) {
+    const targeting = survey.targeting || {};
+    let fit = 1;
+
+    const checks = [
+      ['countries', profile.country, (allowed, value) => allowed.includes(String(value).toUpperCase())],
+      ['genders', profile.gender, (allowed, value) => allowed.includes(String(value).toLowerCase())],
+      ['occupations', profile.occupation, (allowed, value) => allowed.includes(String(value).toLowerCase())],
+      ['ageRanges', profile.ageRange, (allowed, value) => allowed.some(range => rangesOverlap(range, value))],
+      ['interests', profile.interests && profile.interests.length ? profile.interests : null,
+        (allowed, value) => value.some(interest => allowed.includes(String(interest).toLowerCase()))]
+    ];
+
+    for (const [criterion, value, matches] of checks) {
+      const allowed = targeting[criterion];
+      if (!allowed || allowed.length === 0) continue;
+
+      if (value === undefined || value === null || value === '') {
+        fit *= this.config.unknownCriterionPenalty;
+      } else if (!matches(allowed, value)) {
+        return 0;
+      }
+    }
+
+    return fit;
+  }
+
+  /**
+   * Drop surveys the user is targeted out of, then score and sort the rest
+   * matchScore blends expected earnings per minute with how likely this
+   * user is to finish (targeting fit x historical completion rate), scaled
+   * down for surveys and providers users rate poorly
+   */
+  async rank(userId, surveys, profile = null) {
+    const userProfile = profile || await this.getProfile(userId);
+    const [rates, quality] = await Promise.all([
+      this.getCompletionRates(userId),
+      this.ratingService ? this.ratingService.getScoreMap() : null
+    ]);
+    const { priorCompletionRate, weights, qualityWeight } = this.config;
+
+    const candidates = [];
+    for (const survey of surveys) {
+      const fit = this.targetingFit(survey, userProfile);
+      if (fit === 0) continue;
+
+      const providerRate = rates.provider[survey.provider] ?? priorCompletionRate;
+      const categoryRate = rates.category[survey.category] ?? priorCompletionRate;
+      const likelihood = fit * (providerRate + categoryRate) / 2;
+      const earningsPerMinute = survey.payout / Math.max(survey.estimatedMinutes, 1);
+
+      const qualityScore = quality
+        ? quality.survey[survey.id] ?? quality.provider[survey.provider] ?? quality.prior
+        : 100;
+
+      candidates.push({ survey, likelihood, earningsPerMinute, qualityScore, expected: earningsPerMinute * likelihood });
+    }
+
+    const bestExpected = Math.max(...candidates.map(c => c.expected), 0);
+
+    return candidates
+      .map(({ survey, likelihood, earningsPerMinute, qualityScore, expected }) => ({
+        ...survey,
+        earningsPerMinute: Math.round(earningsPerMinute * 1000) / 1000,
+        qualityScore,
+        matchScore: Math.round(100 * (
+          weights.earnings * (bestExpected > 0 ? expected / bestExpected : 0) +
+          weights.likelihood * likelihood
+        ) * (1 - qualityWeight * (1 - qualityScore / 100)))
+      }))
+      .sort((a, b) => b.matchScore - a.matchScore);
+  }
+}
+
+/**
+ * Overlap check for "25-34" / "55+" style age ranges
+ */
+function rangesOverlap(a, b) {
+  const parse = (range) => {
+    const [min, max] = String(range).replace('+', '-').split('-').map(n => parseInt(n));
+    return [isNaN(min) ? 0 : min, isNaN(max) ? 200 : max];
+  };
+  const [aMin, aMax] = parse(a);
+  const [bMin, bMax] = parse(b);
+  return aMin <= bMax && bMin <= aMax;
+}
+
+module.exports = SurveyMatcher;
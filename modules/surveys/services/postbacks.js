@@ -0,0 +1,419 @@
+/**
+ * Postback Service
+ * Verifies provider completion callbacks and credits the user exactly once
+ */
+
+const db = require('../database/db');
+const RevenueSharePolicy = require('./revenue-share');
+
+// Outcomes that may earn a consolation reward instead of the full payout
+const CONSOLATION_STATUSES = ['screened_out', 'quota_full'];
+
+class PostbackService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      highRiskReversals: config.highRiskReversals || 3,
+      ...config,
+      consolation: {
+        enabled: false,
+        dailyCap: 0.25,
+        minSecondsInSurvey: 30,
+        rewards: {},
+        ...(config.consolation || {})
+      }
+    };
+    this.providers = deps.providers;
+    this.balanceService = deps.balanceService;
+    this.sessionService = deps.sessionService;
+    this.fraudService = deps.fraudService;
+    this.inventoryCache = deps.inventoryCache;
+    this.revenueShare = deps.revenueShare || new RevenueSharePolicy();
+  }
+
+  /**
+   * Checks every provider postback goes through - surveys and offers alike
+   * Order: provider, IP allowlist, params, signature, payload, timestamp
+   */
+  verify(providerName, req) {
+    const provider = this.providers && this.providers.getProvider(providerName);
+    if (!provider) {
+      return { success: false, error: 'Unknown provider', code: 'UNKNOWN_PROVIDER' };
+    }
+
+    const ip = req.ip || req.connection?.remoteAddress;
+
+    if (!provider.isAllowedIp(ip)) {
+      console.warn(`[POSTBACK] ${providerName} postback from disallowed IP ${ip}`);
+      return { success: false, error: 'IP not allowed', code: 'IP_NOT_ALLOWED' };
+    }
+
+    const params = provider.postbackParams(req);
+    if (!params) {
+      return { success: false, error: 'Postback repeats a parameter in the query and body', code: 'INVALID_POSTBACK' };
+    }
+
+    if (!provider.verifySignature(params, req)) {
+      console.warn(`[POSTBACK] ${providerName} postback with invalid signature from ${ip}`);
+      return { success: false, error: 'Invalid signature', code: 'INVALID_SIGNATURE' };
+    }
+
+    const postback = provider.parsePostback(params);
+    if (!postback.transactionId || !postback.userId) {
+      return { success: false, error: 'Missing transaction or user id', code: 'INVALID_POSTBACK' };
+    }
+
+    if (!provider.isFreshTimestamp(postback.timestamp)) {
+      return { success: false, error: 'Postback timestamp expired', code: 'STALE_POSTBACK' };
+    }
+
+    return { success: true, provider, postback, params, ip };
+  }
+
+  /**
+   * User's cut of a provider payout under the revenue-share policy
+   * at is when the user started the task, so promotions running then still apply
+   */
+  async resolvePayout(client, { userId, providerName, providerPayout, country, at }) {
+    const share = await this.revenueShare.forUser(userId, { provider: providerName, country, at }, client);
+    return { amount: share.payout(providerPayout), share, audit: this.revenueShare.toAudit(share) };
+  }
+
+  /**
+   * Credit a provider-confirmed payout, referenced by provider and transaction id
+   * Lands in pending when the balance hold policy holds this type (holdDays overrides its base hold)
+   * revenueShare is the resolvePayout audit, stored on the balance transaction it paid for
+   */
+  async credit(client, { userId, amount, type, description, providerName, transactionId, holdDays, revenueShare = null }) {
+    if (!(amount > 0)) return null;
+    return this.balanceService.earn(userId, amount, description, {
+      type,
+      referenceId: `${providerName}:${transactionId}`,
+      holdDays,
+      revenueShare,
+      client
+    });
+  }
+
+  /**
+   * Verify and record a survey postback, crediting the user exactly once
+   */
+  async handle(providerName, req) {
+    const verified = this.verify(providerName, req);
+    if (!verified.success) return verified;
+    const { postback, params, ip } = verified;
+
+    const surveyId = postback.externalSurveyId ? `${providerName}_${postback.externalSurveyId}` : null;
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Unique (provider, transaction_id, status) makes replays a no-op
+      const inserted = await client.query(
+        `INSERT INTO survey_postbacks
+           (provider, transaction_id, status, user_id, survey_id, provider_payout, ip, payload)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (provider, transaction_id, status) DO NOTHING
+         RETURNING id`,
+        [
+          providerName,
+          postback.transactionId,
+          postback.status,
+          postback.userId,
+          surveyId,
+          postback.providerPayout,
+          ip,
+          params
+        ]
+      );
+
+      if (inserted.rows.length === 0) {
+        await client.query('COMMIT');
+        return { success: true, duplicate: true, transactionId: postback.transactionId };
+      }
+
+      if (postback.status === 'reversed') {
+        const reversal = await this._reverse(client, providerName, postback, inserted.rows[0].id);
+        await client.query('COMMIT');
+
+        if (reversal.clawedBack > 0 || reversal.cancelledPending > 0) {
+          await this._logReversalSignal(providerName, postback.transactionId, reversal);
+        }
+
+        return {
+          success: true,
+          status: 'reversed',
+          transactionId: postback.transactionId,
+          originalFound: reversal.originalFound,
+          cancelledPending: reversal.cancelledPending || 0,
+          clawedBack: reversal.clawedBack
+        };
+      }
+
+      const postbackId = inserted.rows[0].id;
+      const session = this.sessionService
+        ? await this.sessionService.findForPostback(client, postback, surveyId)
+        : null;
+
+      let amount = 0;
+      let type = 'survey';
+      let payout = null;
+      if (postback.status === 'completed') {
+        payout = await this.resolvePayout(client, {
+          userId: postback.userId,
+          providerName,
+          providerPayout: postback.providerPayout,
+          country: session && session.country,
+          at: session ? session.startedAt : new Date()
+        });
+
+        // A reversal can beat its completion here - never credit a reversed transaction
+        const alreadyReversed = await client.query(
+          `SELECT 1 FROM survey_postbacks WHERE provider = $1 AND transaction_id = $2 AND status = 'reversed'`,
+          [providerName, postback.transactionId]
+        );
+        amount = alreadyReversed.rows.length === 0 ? payout.amount : 0;
+      } else if (CONSOLATION_STATUSES.includes(postback.status)) {
+        amount = await this._consolationAmount(client, providerName, postback, session);
+        type = 'survey_consolation';
+      }
+
+      const transaction = await this.credit(client, {
+        userId: postback.userId,
+        amount,
+        type,
+        description: type === 'survey'
+          ? `Survey completed (${providerName})`
+          : `Survey ${postback.status.replace('_', ' ')} consolation (${providerName})`,
+        providerName,
+        transactionId: postback.transactionId,
+        revenueShare: payout ? payout.audit : null
+      });
+
+      await client.query(
+        `UPDATE survey_postbacks
+         SET user_payout = $1, balance_transaction_id = $2, survey_id = COALESCE(survey_id, $3),
+             margin_percent = $4, revenue_share = $5
+         WHERE id = $6`,
+        [
+          transaction ? amount : 0,
+          transaction ? transaction.id : null,
+          session ? session.surveyId : null,
+          payout ? payout.share.marginPercent : null,
+          payout ? payout.audit : null,
+          postbackId
+        ]
+      );
+
+      const settled = session
+        ? await this.sessionService.settle(client, session, postback.status, transaction ? amount : 0, postbackId)
+        : null;
+
+      await client.query('COMMIT');
+
+      if (postback.status === 'quota_full') {
+        await this._recordQuotaFull(surveyId || (session && session.surveyId), postback.userId);
+      }
+
+      return {
+        success: true,
+        status: postback.status,
+        transactionId: postback.transactionId,
+        sessionId: settled ? settled.sessionId : null,
+        credited: transaction && !transaction.availableAt ? amount : 0,
+        pending: transaction && transaction.availableAt ? amount : 0,
+        availableAt: transaction ? transaction.availableAt : null,
+        creditType: transaction ? type : null,
+        revenueRule: payout ? payout.share.rule : null
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Consolation reward for a screen-out or quota-full
+   * Only paid when the user spent long enough in the survey to have answered
+   * qualification questions, and capped per user per day across providers
+   */
+  async _consolationAmount(client, providerName, postback, session) {
+    const { enabled, dailyCap, minSecondsInSurvey, rewards } = this.config.consolation;
+    const providerRewards = rewards[providerName] || rewards.default || {};
+    const reward = Number(providerRewards[postback.status]) || 0;
+
+    if (!enabled || reward <= 0 || !session) return 0;
+
+    const secondsInSurvey = (Date.now() - new Date(session.startedAt).getTime()) / 1000;
+    if (secondsInSurvey < minSecondsInSurvey) return 0;
+
+    // Serialize consolation credits per user so concurrent postbacks respect the cap
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`survey_consolation:${postback.userId}`]);
+
+    // The cap resets at midnight in the business timezone, like every other daily figure
+    const today = await client.query(
+      `SELECT COALESCE(SUM(user_payout), 0) AS total
+       FROM survey_postbacks
+       WHERE user_id = $1 AND status = ANY($2) AND balance_transaction_id IS NOT NULL
+         AND created_at::timestamptz >= date_trunc('day', NOW() AT TIME ZONE $3) AT TIME ZONE $3`,
+      [postback.userId, CONSOLATION_STATUSES, this.balanceService.config.timezone]
+    );
+
+    const remaining = dailyCap - parseFloat(today.rows[0].total);
+    return Math.max(0, Math.round(Math.min(reward, remaining) * 100) / 100);
+  }
+
+  /**
+   * Cancel the original completion's pending credit, or claw it back once released, and mark it reversed
+   * The debit may take the balance negative - the money has already left us
+   */
+  async _reverse(client, providerName, postback, reversalId) {
+    const original = await client.query(
+      `SELECT * FROM survey_postbacks
+       WHERE provider = $1 AND transaction_id = $2 AND status = 'completed'
+       FOR UPDATE`,
+      [providerName, postback.transactionId]
+    );
+
+    const completion = original.rows[0];
+    if (!completion) {
+      console.warn(`[POSTBACK] ${providerName} reversal for unknown transaction ${postback.transactionId}`);
+      return { originalFound: false, clawedBack: 0 };
+    }
+
+    const amount = parseFloat(completion.user_payout);
+    let reversal = { transaction: null, cancelledPending: 0, clawedBack: 0 };
+    if (completion.balance_transaction_id && amount > 0) {
+      reversal = await this.balanceService.reverse(
+        completion.balance_transaction_id,
+        `Survey reversed by provider (${providerName})`,
+        {
+          type: 'survey_reversal',
+          referenceId: `${providerName}:${postback.transactionId}`,
+          client
+        }
+      );
+    }
+    const { transaction } = reversal;
+
+    await client.query('UPDATE survey_postbacks SET reversed_at = NOW() WHERE id = $1', [completion.id]);
+    await client.query(
+      `UPDATE survey_postbacks
+       SET user_id = $1, survey_id = COALESCE(survey_id, $2), user_payout = $3, balance_transaction_id = $4
+       WHERE id = $5`,
+      [completion.user_id, completion.survey_id, transaction ? amount : 0, transaction ? transaction.id : null, reversalId]
+    );
+
+    if (this.sessionService) {
+      await this.sessionService.markReversed(client, completion.id);
+    }
+
+    return {
+      originalFound: true,
+      cancelledPending: reversal.cancelledPending,
+      clawedBack: reversal.clawedBack,
+      userId: completion.user_id,
+      surveyId: completion.survey_id
+    };
+  }
+
+  /**
+   * Raise a fraud signal for a reversed completion
+   * Severity escalates once a user keeps getting reversed
+   */
+  async _logReversalSignal(providerName, transactionId, reversal) {
+    if (!this.fraudService) return;
+
+    try {
+      const recent = await db.query(
+        `SELECT COUNT(*) FROM survey_postbacks
+         WHERE user_id = $1 AND status = 'reversed' AND created_at >= NOW() - INTERVAL '30 days'`,
+        [reversal.userId]
+      );
+      const reversalsLast30Days = parseInt(recent.rows[0].count);
+
+      await this.fraudService.logEvent(
+        String(reversal.userId),
+        'survey_reversed',
+        reversalsLast30Days >= this.config.highRiskReversals ? 'high' : 'medium',
+        {
+          surveyId: reversal.surveyId,
+          provider: providerName,
+          transactionId,
+          amount: reversal.clawedBack || reversal.cancelledPending,
+          reversalsLast30Days
+        }
+      );
+    } catch (err) {
+      console.error('Failed to log reversal fraud signal:', err.message);
+    }
+  }
+
+  /**
+   * Let the inventory cache pull a survey that keeps reporting quota full
+   */
+  async _recordQuotaFull(surveyId, userId) {
+    if (!this.inventoryCache || !surveyId) return;
+
+    try {
+      await this.inventoryCache.recordQuotaFull(surveyId, userId);
+    } catch (err) {
+      console.error('Failed to record quota full:', err.message);
+    }
+  }
+
+  /**
+   * Reversal rates per provider and per user over the last N days
+   */
+  async getReversalReport({ days = 30, minCompletions = 1, limit = 50 } = {}) {
+    const totals = `
+      COUNT(*) FILTER (WHERE status = 'completed') AS completions,
+      COUNT(*) FILTER (WHERE status = 'reversed') AS reversals,
+      COALESCE(SUM(user_payout) FILTER (WHERE status = 'reversed'), 0) AS reversed_amount`;
+
+    const [byProvider, byUser] = await Promise.all([
+      db.query(
+        `SELECT provider, ${totals}
+         FROM survey_postbacks
+         WHERE created_at >= NOW() - make_interval(days => $1)
+         GROUP BY provider`,
+        [days]
+      ),
+      db.query(
+        `SELECT user_id, ${totals}
+         FROM survey_postbacks
+         WHERE created_at >= NOW() - make_interval(days => $1)
+         GROUP BY user_id
+         HAVING COUNT(*) FILTER (WHERE status = 'reversed') > 0
+           AND COUNT(*) FILTER (WHERE status = 'completed') >= $2
+         ORDER BY COUNT(*) FILTER (WHERE status = 'reversed')::numeric
+           / GREATEST(COUNT(*) FILTER (WHERE status = 'completed'), 1) DESC
+         LIMIT $3`,
+        [days, minCompletions, limit]
+      )
+    ]);
+
+    const formatRow = (row) => {
+      const completions = parseInt(row.completions);
+      const reversals = parseInt(row.reversals);
+      return {
+        completions,
+        reversals,
+        reversalRate: completions > 0 ? Math.round((reversals / completions) * 1000) / 10 : 0,
+        reversedAmount: parseFloat(row.reversed_amount)
+      };
+    };
+
+    return {
+      days,
+      byProvider: byProvider.rows
+        .map(row => ({ provider: row.provider, ...formatRow(row) }))
+        .sort((a, b) => b.reversalRate - a.reversalRate),
+      byUser: byUser.rows.map(row => ({ userId: row.user_id, ...formatRow(row) }))
+    };
+  }
+}
+
+module.exports = PostbackService;
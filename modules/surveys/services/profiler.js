@@ -0,0 +1,348 @@
+/**
+ * Profiler Service
+ * Native pre-qualification questionnaire answered once and reused across providers
+ */
+
+const mongoose = require('mongoose');
+const db = require('../database/db');
+
+/*
+ * Question bank. Bump a question's version when its wording or options change
+ * in a way that invalidates old answers - users are asked it again.
+ * providers maps our answer to each provider's qualification parameter.
+ */
+const PROFILER_QUESTIONS = [
+  {
+    key: 'country',
+    version: 1,
+    text: 'Which country do you live in?',
+    type: 'country',
+    required: true,
+    profileField: 'country'
+  },
+  {
+    key: 'gender',
+    version: 1,
+    text: 'What is your gender?',
+    type: 'single',
+    required: true,
+    profileField: 'gender',
+    options: [
+      { value: 'male', label: 'Male' },
+      { value: 'female', label: 'Female' },
+      { value: 'non_binary', label: 'Non-binary' },
+      { value: 'prefer_not', label: 'Prefer not to say' }
+    ],
+    providers: {
+      pollfish: { param: 'gender', values: { male: '1', female: '2', non_binary: '3' } },
+      cpx: { param: 'gender', values: { male: 'm', female: 'f' } }
+    }
+  },
+  {
+    key: 'birth_year',
+    version: 1,
+    text: 'What year were you born?',
+    type: 'number',
+    required: true,
+    min: 1920,
+    max: new Date().getFullYear() - 16,
+    providers: {
+      pollfish: { param: 'year_of_birth' },
+      cpx: { param: 'birthday_year' }
+    }
+  },
+  {
+    key: 'education',
+    version: 1,
+    text: 'What is the highest level of education you have completed?',
+    type: 'single',
+    required: false,
+    options: [
+      { value: 'high_school', label: 'High school or less' },
+      { value: 'some_college', label: 'Some college' },
+      { value: 'bachelors', label: "Bachelor's degree" },
+      { value: 'postgraduate', label: 'Postgraduate degree' }
+    ],
+    providers: {
+      pollfish: { param: 'education', values: { high_school: '2', some_college: '3', bachelors: '4', postgraduate: '5' } }
+    }
+  },
+  {
+    key: 'employment',
+    version: 1,
+    text: 'Which best describes your current employment?',
+    type: 'single',
+    required: true,
+    profileField: 'occupation',
+    options: [
+      { value: 'full_time', label: 'Employed full-time' },
+      { value: 'part_time', label: 'Employed part-time' },
+      { value: 'self_employed', label: 'Self-employed' },
+      { value: 'student', label: 'Student' },
+      { value: 'unemployed', label: 'Not employed' },
+      { value: 'retired', label: 'Retired' }
+    ],
+    providers: {
+      pollfish: {
+        param: 'employment',
+        values: { full_time: '1', part_time: '2', self_employed: '3', student: '5', unemployed: '6', retired: '7' }
+      }
+    }
+  },
+  {
+    key: 'household_income',
+    version: 1,
+    text: 'What is your approximate yearly household income (USD)?',
+    type: 'single',
+    required: false,
+    options: [
+      { value: 'under_25k', label: 'Under $25,000' },
+      { value: '25k_50k', label: '$25,000 - $49,999' },
+      { value: '50k_100k', label: '$50,000 - $99,999' },
+      { value: 'over_100k', label: '$100,000 or more' },
+      { value: 'prefer_not', label: 'Prefer not to say' }
+    ],
+    providers: {
+      pollfish: { param: 'income', values: { under_25k: '1', '25k_50k': '2', '50k_100k': '3', over_100k: '4' } }
+    }
+  },
+  {
+    key: 'interests',
+    version: 1,
+    text: 'Which of these topics interest you?',
+    type: 'multi',
+    required: true,
+    profileField: 'interests',
+    options: [
+      { value: 'shopping', label: 'Shopping' },
+      { value: 'movies', label: 'Movies' },
+      { value: 'tv', label: 'TV' },
+      { value: 'music', label: 'Music' },
+      { value: 'gaming', label: 'Gaming' },
+      { value: 'sports', label: 'Sports' },
+      { value: 'travel', label: 'Travel' },
+      { value: 'technology', label: 'Technology' },
+      { value: 'finance', label: 'Finance' },
+      { value: 'health', label: 'Health & fitness' },
+      { value: 'food', label: 'Food & drink' },
+      { value: 'automotive', label: 'Cars' }
+    ]
+  }
+];
+
+// Age brackets used by survey targeting, derived from birth_year
+const AGE_RANGES = ['16-17', '18-24', '25-34', '35-44', '45-54', '55-64', '65+'];
+
+class ProfilerService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      questions: PROFILER_QUESTIONS,
+      // Onboarding step awarded once every required question is answered
+      onboardingStep: 'profiler',
+      ...config
+    };
+    this.onboardingService = deps.onboardingService || null;
+  }
+
+  getQuestion(key) {
+    return this.config.questions.find(q => q.key === key) || null;
+  }
+
+  /**
+   * Current answers keyed by question, ignoring answers to outdated versions
+   */
+  async getAnswers(userId) {
+    const result = await db.query(
+      'SELECT question_key, question_version, answer, answered_at FROM profiler_answers WHERE user_id = $1',
+      [userId]
+    );
+
+    const answers = {};
+    for (const row of result.rows) {
+      const question = this.getQuestion(row.question_key);
+      if (question && row.question_version === question.version) {
+        answers[row.question_key] = row.answer;
+      }
+    }
+    return answers;
+  }
+
+  /**
+   * Questions the user still needs to answer, required ones first
+   */
+  async getUnanswered(userId) {
+    const answers = await this.getAnswers(userId);
+    return this.config.questions
+      .filter(q => answers[q.key] === undefined)
+      .sort((a, b) => Number(b.required) - Number(a.required))
+      .map(q => this._formatQuestion(q));
+  }
+
+  /**
+   * Validate and store a batch of answers ({ questionKey: value })
+   * Completes the onboarding step the first time every required question is answered
+   */
+  async submitAnswers(userId, submitted = {}) {
+    const entries = Object.entries(submitted);
+    if (entries.length === 0) {
+      return { success: false, error: 'No answers submitted', code: 'NO_ANSWERS' };
+    }
+
+    const cleaned = [];
+    for (const [key, value] of entries) {
+      const question = this.getQuestion(key);
+      if (!question) {
+        return { success: false, error: `Unknown question: ${key}`, code: 'UNKNOWN_QUESTION' };
+      }
+      const answer = this._validateAnswer(question, value);
+      if (answer === undefined) {
+        return { success: false, error: `Invalid answer for ${key}`, code: 'INVALID_ANSWER' };
+      }
+      cleaned.push({ question, answer });
+    }
+
+    const wasComplete = await this.isComplete(userId);
+
+    for (const { question, answer } of cleaned) {
+      await db.query(
+        `INSERT INTO profiler_answers (user_id, question_key, question_version, answer)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, question_key) DO UPDATE SET
+           question_version = EXCLUDED.question_version,
+           answer = EXCLUDED.answer,
+           updated_at = NOW()`,
+        [userId, question.key, question.version, JSON.stringify(answer)]
+      );
+    }
+
+    const complete = await this.isComplete(userId);
+    const onboarding = complete && !wasComplete ? await this._completeOnboardingStep(userId) : null;
+
+    return {
+      success: true,
+      saved: cleaned.map(({ question }) => question.key),
+      complete,
+      remaining: (await this.getUnanswered(userId)).length,
+      onboarding
+    };
+  }
+
+  /**
+   * True once every required question has a current answer
+   */
+  async isComplete(userId) {
+    const answers = await this.getAnswers(userId);
+    return this.config.questions.filter(q => q.required).every(q => answers[q.key] !== undefined);
+  }
+
+  /**
+   * Answers in the shape SurveyMatcher reads (country, gender, ageRange, occupation, interests)
+   */
+  async getProfile(userId) {
+    const answers = await this.getAnswers(userId);
+    const profile = {};
+
+    for (const question of this.config.questions) {
+      const answer = answers[question.key];
+      if (question.profileField && answer !== undefined && answer !== 'prefer_not') {
+        profile[question.profileField] = answer;
+      }
+    }
+    if (answers.birth_year !== undefined) {
+      profile.ageRange = ageRangeFor(answers.birth_year);
+    }
+    return profile;
+  }
+
+  /**
+   * Our answers translated to each provider's qualification parameters
+   * e.g. { pollfish: { gender: '2', year_of_birth: 1990 }, cpx: { gender: 'f' } }
+   */
+  async getProviderQualifications(userId) {
+    const answers = await this.getAnswers(userId);
+    const qualifications = {};
+
+    for (const question of this.config.questions) {
+      const answer = answers[question.key];
+      if (answer === undefined) continue;
+
+      for (const [providerName, mapping] of Object.entries(question.providers || {})) {
+        const value = mapping.values ? mapping.values[answer] : answer;
+        if (value === undefined) continue;
+
+        qualifications[providerName] = qualifications[providerName] || {};
+        qualifications[providerName][mapping.param] = value;
+      }
+    }
+    return qualifications;
+  }
+
+  /**
+   * Award the profiler onboarding step - skipped when Mongo isn't connected
+   */
+  async _completeOnboardingStep(userId) {
+    if (!this.onboardingService || mongoose.connection.readyState !== 1) return null;
+
+    try {
+      const result = await this.onboardingService.completeStep(String(userId), this.config.onboardingStep);
+      return { stepCompleted: result.stepCompleted, rewardEarned: result.rewardEarned || 0 };
+    } catch (err) {
+      console.error('Profiler onboarding step error:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Normalized answer, or undefined if it doesn't fit the question
+   */
+  _validateAnswer(question, value) {
+    const allowed = (question.options || []).map(o => o.value);
+
+    switch (question.type) {
+      case 'single':
+        return allowed.includes(value) ? value : undefined;
+      case 'multi': {
+        const values = Array.isArray(value) ? [...new Set(value)] : [];
+        return values.length > 0 && values.every(v => allowed.includes(v)) ? values : undefined;
+      }
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isInteger(number)) return undefined;
+        if (question.min !== undefined && number < question.min) return undefined;
+        if (question.max !== undefined && number > question.max) return undefined;
+        return number;
+      }
+      case 'country':
+        return typeof value === 'string' && /^[A-Za-z]{2}$/.test(value) ? value.toUpperCase() : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Question definition for API responses - provider mappings stay server-side
+   */
+  _formatQuestion(question) {
+    return {
+      key: question.key,
+      version: question.version,
+      text: question.text,
+      type: question.type,
+      required: question.required,
+      options: question.options,
+      min: question.min,
+      max: question.max
+    };
+  }
+}
+
+function ageRangeFor(birthYear) {
+  const age = new Date().getFullYear() - birthYear;
+  return AGE_RANGES.find(range => {
+    const [min, max] = range.replace('+', '-').split('-').map(n => parseInt(n));
+    return age >= min && (isNaN(max) || age <= max);
+  }) || null;
+}
+
+module.exports = ProfilerService;
+module.exports.PROFILER_QUESTIONS = PROFILER_QUESTIONS;
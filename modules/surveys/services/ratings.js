@@ -0,0 +1,189 @@
+/**
+ * Survey Rating Service
+ * Post-survey feedback rolled up into quality scores per provider and per survey
+ */
+
+const db = require('../database/db');
+
+// Outcomes a user can rate - they actually saw the survey
+const RATEABLE_STATUSES = ['completed', 'screened_out', 'quota_full'];
+
+class SurveyRatingService {
+  constructor(config = {}) {
+    this.config = {
+      // Score assumed before any ratings, and how many ratings it's worth
+      priorScore: 80,
+      priorWeight: 5,
+      // Measured / estimated minutes above this flags a provider as underestimating
+      underestimateRatio: 1.25,
+      maxIssueLength: 1000,
+      ...config
+    };
+  }
+
+  /**
+   * Rate a finished session - one rating per session
+   */
+  async submit(userId, sessionId, { lengthAccurate, paidAsPromised, issues } = {}) {
+    if (typeof lengthAccurate !== 'boolean' || typeof paidAsPromised !== 'boolean') {
+      return { success: false, error: 'lengthAccurate and paidAsPromised must be true or false', code: 'INVALID_RATING' };
+    }
+
+    const sessionResult = await db.query(
+      'SELECT * FROM survey_sessions WHERE id = $1 AND user_id = $2',
+      [sessionId, userId]
+    );
+    const session = sessionResult.rows[0];
+    if (!session) {
+      return { success: false, error: 'Session not found', code: 'NOT_FOUND' };
+    }
+    if (!RATEABLE_STATUSES.includes(session.status)) {
+      return { success: false, error: `Session is ${session.status} - only finished surveys can be rated`, code: 'NOT_RATEABLE' };
+    }
+
+    // The user's return is the best end marker; the postback time is the fallback
+    const endedAt = session.returned_at || session.ended_at;
+    const actualMinutes = endedAt
+      ? Math.round(((new Date(endedAt) - new Date(session.started_at)) / 60000) * 10) / 10
+      : null;
+
+    const result = await db.query(
+      `INSERT INTO survey_ratings
+         (session_id, user_id, survey_id, provider, session_status, length_accurate, paid_as_promised,
+          issues, estimated_minutes, actual_minutes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (session_id) DO NOTHING
+       RETURNING *`,
+      [
+        session.id,
+        userId,
+        session.survey_id,
+        session.provider,
+        session.status,
+        lengthAccurate,
+        paidAsPromised,
+        issues ? String(issues).trim().slice(0, this.config.maxIssueLength) || null : null,
+        session.estimated_minutes,
+        actualMinutes
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Session already rated', code: 'ALREADY_RATED' };
+    }
+    return { success: true, rating: this._formatRating(result.rows[0]) };
+  }
+
+  /**
+   * Smoothed quality scores keyed by provider and by survey id, for ranking
+   */
+  async getScoreMap() {
+    const [byProvider, bySurvey] = await Promise.all([
+      db.query(`SELECT provider AS key, ${this._totals()} FROM survey_ratings GROUP BY provider`),
+      db.query(`SELECT survey_id AS key, ${this._totals()} FROM survey_ratings GROUP BY survey_id`)
+    ]);
+
+    const toMap = (rows) => Object.fromEntries(rows.map(row => [row.key, this._score(row)]));
+    return {
+      prior: this.config.priorScore,
+      provider: toMap(byProvider.rows),
+      survey: toMap(bySurvey.rows)
+    };
+  }
+
+  /**
+   * Quality per provider and per survey over the last N days, worst first
+   */
+  async getQualityReport({ days = 30, minRatings = 5, limit = 50 } = {}) {
+    const [byProvider, bySurvey] = await Promise.all([
+      db.query(
+        `SELECT provider, ${this._totals()}
+         FROM survey_ratings
+         WHERE created_at >= NOW() - make_interval(days => $1)
+         GROUP BY provider`,
+        [days]
+      ),
+      db.query(
+        `SELECT survey_id, provider, ${this._totals()}
+         FROM survey_ratings
+         WHERE created_at >= NOW() - make_interval(days => $1)
+         GROUP BY survey_id, provider
+         HAVING COUNT(*) >= $2`,
+        [days, minRatings]
+      )
+    ]);
+
+    const byScore = (a, b) => a.qualityScore - b.qualityScore;
+    return {
+      days,
+      byProvider: byProvider.rows
+        .map(row => ({ provider: row.provider, ...this._formatTotals(row) }))
+        .sort(byScore),
+      bySurvey: bySurvey.rows
+        .map(row => ({ surveyId: row.survey_id, provider: row.provider, ...this._formatTotals(row) }))
+        .sort(byScore)
+        .slice(0, limit)
+    };
+  }
+
+  _totals() {
+    return `
+      COUNT(*) AS ratings,
+      COUNT(*) FILTER (WHERE length_accurate) AS length_accurate,
+      COUNT(*) FILTER (WHERE paid_as_promised) AS paid_as_promised,
+      AVG(estimated_minutes) AS avg_estimated_minutes,
+      AVG(actual_minutes) AS avg_actual_minutes,
+      COUNT(*) FILTER (WHERE issues IS NOT NULL) AS issues`;
+  }
+
+  /**
+   * 0-100 score from the share of "length accurate" and "paid as promised"
+   * answers, pulled toward the prior until there are enough ratings
+   */
+  _score(row) {
+    const { priorScore, priorWeight } = this.config;
+    const ratings = parseInt(row.ratings);
+    const positive = (parseInt(row.length_accurate) + parseInt(row.paid_as_promised)) / 2;
+    return Math.round(((positive * 100) + priorScore * priorWeight) / (ratings + priorWeight));
+  }
+
+  _formatTotals(row) {
+    const ratings = parseInt(row.ratings);
+    const avgEstimated = row.avg_estimated_minutes === null ? null : parseFloat(row.avg_estimated_minutes);
+    const avgActual = row.avg_actual_minutes === null ? null : parseFloat(row.avg_actual_minutes);
+    const lengthRatio = avgEstimated && avgActual !== null ? Math.round((avgActual / avgEstimated) * 100) / 100 : null;
+    const percent = (count) => Math.round((parseInt(count) / ratings) * 1000) / 10;
+
+    return {
+      ratings,
+      qualityScore: this._score(row),
+      lengthAccurateRate: percent(row.length_accurate),
+      paidAsPromisedRate: percent(row.paid_as_promised),
+      avgEstimatedMinutes: avgEstimated === null ? null : Math.round(avgEstimated * 10) / 10,
+      avgActualMinutes: avgActual === null ? null : Math.round(avgActual * 10) / 10,
+      lengthRatio,
+      underestimatesLength: lengthRatio !== null && lengthRatio >= this.config.underestimateRatio,
+      issuesReported: parseInt(row.issues)
+    };
+  }
+
+  /**
+   * Format rating row for API responses
+   */
+  _formatRating(row) {
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      surveyId: row.survey_id,
+      provider: row.provider,
+      lengthAccurate: row.length_accurate,
+      paidAsPromised: row.paid_as_promised,
+      issues: row.issues,
+      estimatedMinutes: row.estimated_minutes,
+      actualMinutes: row.actual_minutes === null ? null : parseFloat(row.actual_minutes),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = SurveyRatingService;
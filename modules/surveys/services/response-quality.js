@@ -0,0 +1,148 @@
+/**
+ * Response Quality Checks
+ * Attention checks, straight-lining, gibberish and speeding on first-party survey responses
+ */
+
+// Seconds a typical respondent needs per question type, unless the question sets expectedSeconds
+const DEFAULT_EXPECTED_SECONDS = {
+  single_choice: 4,
+  multi_choice: 6,
+  likert: 3,
+  open_text: 15
+};
+
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+class ResponseQualityChecker {
+  constructor(config = {}) {
+    this.config = {
+      // A grid needs this many answered items before identical answers count as straight-lining
+      straightLiningMinItems: 4,
+      // A question answered in under this share of its expected time is "fast"
+      speedRatio: 0.33,
+      // Fail the speed check once this share of answered questions were fast
+      maxFastShare: 0.5,
+      expectedSeconds: DEFAULT_EXPECTED_SECONDS,
+      ...config
+    };
+  }
+
+  /**
+   * Run every check on a finished response
+   * answers and timings (seconds spent) are keyed by question id
+   */
+  check(survey, answers = {}, timings = {}) {
+    const checks = [
+      this.attentionChecks(survey, answers),
+      this.straightLining(survey, answers),
+      this.gibberish(survey, answers),
+      this.speed(survey, answers, timings)
+    ];
+    const failed = checks.filter(c => !c.passed).map(c => c.name);
+
+    return { passed: failed.length === 0, failed, checks };
+  }
+
+  /**
+   * Embedded questions with a known right answer (question.attentionCheck)
+   */
+  attentionChecks(survey, answers) {
+    const missed = survey.questions
+      .filter(q => q.attentionCheck && answers[q.id] !== undefined)
+      .filter(q => !matchesExpected(q.attentionCheck, answers[q.id]))
+      .map(q => q.id);
+
+    return { name: 'attention_check', passed: missed.length === 0, questions: missed };
+  }
+
+  /**
+   * The same answer to every item of a Likert grid
+   * Questions group by question.grid; without grids all Likert questions form one
+   */
+  straightLining(survey, answers) {
+    const likert = survey.questions.filter(q => q.type === 'likert' && answers[q.id] !== undefined);
+    const grids = {};
+    for (const question of likert) {
+      const grid = question.grid || (likert.some(q => q.grid) ? null : 'all');
+      if (!grid) continue;
+      grids[grid] = grids[grid] || [];
+      grids[grid].push(answers[question.id]);
+    }
+
+    const flat = Object.entries(grids)
+      .filter(([, values]) => values.length >= this.config.straightLiningMinItems && new Set(values).size === 1)
+      .map(([grid]) => grid);
+
+    return { name: 'straight_lining', passed: flat.length === 0, grids: flat };
+  }
+
+  /**
+   * Open-text answers that aren't words - keyboard mashing, repeated characters, no vowels
+   */
+  gibberish(survey, answers) {
+    const flagged = survey.questions
+      .filter(q => q.type === 'open_text' && typeof answers[q.id] === 'string')
+      .filter(q => looksLikeGibberish(answers[q.id]))
+      .map(q => q.id);
+
+    return { name: 'gibberish', passed: flagged.length === 0, questions: flagged };
+  }
+
+  /**
+   * Too many questions answered faster than anyone could read them
+   */
+  speed(survey, answers, timings) {
+    const timed = survey.questions.filter(q => timings[q.id] !== undefined);
+    const fast = timed.filter(q => timings[q.id] < this._expectedSeconds(q) * this.config.speedRatio).map(q => q.id);
+    const totalSeconds = timed.reduce((total, q) => total + timings[q.id], 0);
+    const expectedSeconds = timed.reduce((total, q) => total + this._expectedSeconds(q), 0);
+
+    return {
+      name: 'speed',
+      passed: timed.length === 0 || fast.length / timed.length < this.config.maxFastShare,
+      questions: fast,
+      totalSeconds: Math.round(totalSeconds * 10) / 10,
+      expectedSeconds
+    };
+  }
+
+  _expectedSeconds(question) {
+    return Number(question.expectedSeconds) || this.config.expectedSeconds[question.type] || 5;
+  }
+}
+
+/**
+ * Attention-check expectation: { answers: [...] } for choices, { min, max } for Likert
+ */
+function matchesExpected(expected, value) {
+  if (expected.answers) {
+    const wanted = expected.answers.map(String);
+    if (!Array.isArray(value)) return wanted.includes(String(value));
+    // Multi choice must pick exactly the expected set
+    return value.length === wanted.length && value.every(v => wanted.includes(String(v)));
+  }
+  return typeof value === 'number' &&
+    (expected.min === undefined || value >= expected.min) &&
+    (expected.max === undefined || value <= expected.max);
+}
+
+/**
+ * Heuristics tuned for Latin-script answers - other scripts only fail when they have no letters at all,
+ * and a letterless answer made of numbers and punctuation ('42', '$20-30', '?') is a real answer
+ */
+function looksLikeGibberish(text) {
+  const letters = text.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length === 0) {
+    return !/\p{L}/u.test(text) && !/^[\p{N}\p{P}\p{Sc}\p{Sm}\s]*$/u.test(text);
+  }
+  if (/(.)\1{4,}/.test(letters)) return true;
+
+  const words = text.toLowerCase().split(/[^a-z]+/).filter(w => w.length >= 4);
+  if (words.some(word => KEYBOARD_ROWS.some(row => row.includes(word)))) return true;
+  if (words.some(word => word.length >= 6 && !/[aeiouy]/.test(word))) return true;
+
+  const vowels = letters.replace(/[^aeiouy]/g, '').length;
+  return letters.length >= 8 && vowels / letters.length < 0.15;
+}
+
+module.exports = ResponseQualityChecker;
@@ -0,0 +1,122 @@
+/**
+ * Revenue Share Policy
+ * Decides what share of a provider payout goes to the user, from brain.json rules
+ */
+
+const db = require('../database/db');
+
+class RevenueSharePolicy {
+  constructor(config = {}) {
+    this.config = {
+      // Bumped whenever the rules change, and stored with every payout
+      version: '1',
+      defaultMarginPercent: 35,
+      // First matching rule wins - order from most to least specific
+      rules: [],
+      // Promotions multiply the user's share while active
+      promotions: [],
+      // Never pay out more than this share of what the provider paid us
+      maxUserSharePercent: 100,
+      // Promotion daysOfWeek are days here - the business timezone
+      timezone: 'America/New_York',
+      ...config
+    };
+  }
+
+  /**
+   * Share for a user, looking up their subscription tier
+   * Pass client to read inside a caller's transaction
+   */
+  async forUser(userId, { provider, country, at } = {}, client = null) {
+    const tier = await this.getTier(userId, client);
+    return this.resolve({ provider, country, tier, at });
+  }
+
+  /**
+   * subscription_tier from the users table
+   */
+  async getTier(userId, client = null) {
+    const result = await (client || db).query('SELECT subscription_tier FROM users WHERE id = $1', [userId]);
+    return result.rows[0] ? result.rows[0].subscription_tier : null;
+  }
+
+  /**
+   * Apply the policy to { provider, country, tier, at }
+   * Returns the effective margin, the rule and promotion that set it, and payout()
+   */
+  resolve({ provider, country, tier, at = new Date() } = {}) {
+    const context = {
+      provider,
+      country: country ? String(country).toUpperCase() : null,
+      tier: tier || 'free'
+    };
+    const when = at ? new Date(at) : new Date();
+
+    const rule = this.config.rules.find(r => this._matches(r.match, context));
+    const baseMargin = rule && rule.marginPercent !== undefined ? rule.marginPercent : this.config.defaultMarginPercent;
+
+    const promotion = this.config.promotions.find(p =>
+      this._isActive(p, when) && this._matches(p.match, context)
+    );
+    const multiplier = promotion ? Number(promotion.multiplier) || 1 : 1;
+
+    const userSharePercent = Math.min((100 - baseMargin) * multiplier, this.config.maxUserSharePercent);
+    const marginPercent = Math.round((100 - userSharePercent) * 100) / 100;
+
+    return {
+      marginPercent,
+      userSharePercent: Math.round(userSharePercent * 100) / 100,
+      rule: rule ? rule.name : 'default',
+      promotion: promotion ? promotion.name : null,
+      multiplier,
+      tier: context.tier,
+      country: context.country,
+      policyVersion: this.config.version,
+      payout(providerPayout) {
+        return Math.round(Number(providerPayout) * (userSharePercent / 100) * 100) / 100;
+      }
+    };
+  }
+
+  /**
+   * Audit record stored alongside a payout
+   */
+  toAudit(share) {
+    const { payout, ...audit } = share;
+    return audit;
+  }
+
+  /**
+   * A rule/promotion matches when every listed dimension includes the context value
+   */
+  _matches(match = {}, context) {
+    const checks = [
+      ['providers', context.provider],
+      ['countries', context.country],
+      ['tiers', context.tier]
+    ];
+    return checks.every(([key, value]) => {
+      const allowed = match[key];
+      if (!allowed || allowed.length === 0) return true;
+      return value !== null && value !== undefined && allowed.map(v => String(v).toLowerCase()).includes(String(value).toLowerCase());
+    });
+  }
+
+  /**
+   * Within startsAt/endsAt (either may be open), and on one of daysOfWeek (business timezone) if set
+   */
+  _isActive(promotion, when) {
+    if (promotion.enabled === false) return false;
+    if (promotion.startsAt && when < new Date(promotion.startsAt)) return false;
+    if (promotion.endsAt && when >= new Date(promotion.endsAt)) return false;
+    if (promotion.daysOfWeek && promotion.daysOfWeek.length > 0) {
+      const day = new Intl.DateTimeFormat('en-US', { timeZone: this.config.timezone, weekday: 'short' })
+        .format(when)
+        .toLowerCase();
+      return promotion.daysOfWeek.map(d => String(d).toLowerCase().slice(0, 3)).includes(day);
+    }
+    return true;
+  }
+}
+
+module.exports = RevenueSharePolicy;
@@ -0,0 +1,290 @@
+/**
+ * Survey Session Service
+ * Tracks each survey attempt from start to its provider-confirmed outcome
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const db = require('../database/db');
+
+// Allowed status changes - the provider postback is authoritative, so it can
+// still settle a session the user abandoned or that timed out
+const TRANSITIONS = {
+  in_progress: ['completed', 'screened_out', 'quota_full', 'abandoned', 'expired'],
+  abandoned: ['completed', 'screened_out', 'quota_full'],
+  expired: ['completed', 'screened_out', 'quota_full'],
+  completed: ['reversed'],
+  screened_out: [],
+  quota_full: [],
+  reversed: []
+};
+
+class SurveySessionService {
+  constructor(config = {}) {
+    this.config = {
+      sessionTtlSeconds: config.sessionTtlSeconds || 3600,
+      expiryCron: config.expiryCron || '*/5 * * * *',
+      ...config
+    };
+  }
+
+  /**
+   * Start (or resume) a session for a user and survey
+   */
+  async start(userId, survey, context = {}) {
+    const existing = await db.query(
+      `SELECT * FROM survey_sessions
+       WHERE user_id = $1 AND survey_id = $2 AND status = 'in_progress' AND expires_at > NOW()
+       ORDER BY started_at DESC LIMIT 1`,
+      [userId, survey.id]
+    );
+    if (existing.rows.length > 0) {
+      return { session: this._formatSession(existing.rows[0]), resumed: true };
+    }
+
+    const redirectToken = crypto.randomBytes(16).toString('hex');
+    const result = await db.query(
+      `INSERT INTO survey_sessions
+         (user_id, survey_id, provider, external_survey_id, survey_title, category, estimated_minutes,
+          expected_payout, redirect_token, device_fingerprint, ip, user_agent, country, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW() + make_interval(secs => $14))
+       RETURNING *`,
+      [
+        userId,
+        survey.id,
+        survey.provider,
+        survey.externalId,
+        survey.title,
+        survey.category,
+        survey.estimatedMinutes,
+        survey.payout,
+        redirectToken,
+        context.fingerprint,
+        context.ip,
+        context.userAgent,
+        context.country ? String(context.country).toUpperCase().slice(0, 2) : null,
+        this.config.sessionTtlSeconds
+      ]
+    );
+
+    return { session: this._formatSession(result.rows[0]), resumed: false };
+  }
+
+  /**
+   * Find a session by id, optionally scoped to a user
+   */
+  async findById(sessionId, userId = null) {
+    const result = await db.query(
+      `SELECT * FROM survey_sessions WHERE id = $1 ${userId ? 'AND user_id = $2' : ''}`,
+      userId ? [sessionId, userId] : [sessionId]
+    );
+    return result.rows[0] ? this._formatSession(result.rows[0]) : null;
+  }
+
+  /**
+   * Record that the user came back from the provider
+   * Never changes status - only the provider postback settles a session
+   */
+  async recordReturn(sessionId, userId) {
+    const result = await db.query(
+      `UPDATE survey_sessions SET returned_at = COALESCE(returned_at, NOW()), updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [sessionId, userId]
+    );
+    return result.rows[0] ? this._formatSession(result.rows[0]) : null;
+  }
+
+  /**
+   * User gave up on an in-progress survey
+   */
+  async abandon(sessionId, userId) {
+    const session = await this.findById(sessionId, userId);
+    if (!session) {
+      return { success: false, error: 'Session not found', code: 'NOT_FOUND' };
+    }
+    if (!this.canTransition(session.status, 'abandoned')) {
+      return { success: false, error: `Session is already ${session.status}`, code: 'INVALID_TRANSITION' };
+    }
+
+    const result = await db.query(
+      `UPDATE survey_sessions SET status = 'abandoned', ended_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'in_progress'
+       RETURNING *`,
+      [sessionId]
+    );
+    return { success: true, session: this._formatSession(result.rows[0] || session) };
+  }
+
+  /**
+   * Lock the session a postback belongs to, inside the postback's transaction
+   * Matches on the redirect token, falling back to the user's latest open attempt
+   */
+  async findForPostback(client, postback, surveyId) {
+    let result = { rows: [] };
+
+    if (postback.sessionToken) {
+      result = await client.query(
+        'SELECT * FROM survey_sessions WHERE redirect_token = $1 FOR UPDATE',
+        [postback.sessionToken]
+      );
+    }
+    if (result.rows.length === 0 && surveyId) {
+      result = await client.query(
+        `SELECT * FROM survey_sessions
+         WHERE user_id = $1 AND survey_id = $2 AND status IN ('in_progress', 'abandoned', 'expired')
+         ORDER BY started_at DESC LIMIT 1
+         FOR UPDATE`,
+        [postback.userId, surveyId]
+      );
+    }
+
+    const session = result.rows[0];
+    if (!session || String(session.user_id) !== String(postback.userId)) {
+      return null;
+    }
+    return this._formatSession(session);
+  }
+
+  /**
+   * Move a session to the postback's outcome, if that transition is allowed
+   */
+  async settle(client, session, status, earned, postbackId) {
+    if (!this.canTransition(session.status, status)) {
+      return session;
+    }
+
+    const updated = await client.query(
+      `UPDATE survey_sessions
+       SET status = $1, earned = $2, postback_id = $3, ended_at = NOW(), updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [status, earned, postbackId, session.sessionId]
+    );
+    return this._formatSession(updated.rows[0]);
+  }
+
+  /**
+   * Flag the session settled by a completion postback as reversed
+   */
+  async markReversed(client, postbackId) {
+    await client.query(
+      `UPDATE survey_sessions SET status = 'reversed', updated_at = NOW()
+       WHERE postback_id = $1 AND status = 'completed'`,
+      [postbackId]
+    );
+  }
+
+  /**
+   * Mark in-progress sessions past their expiry as expired
+   */
+  async expireStale() {
+    const result = await db.query(
+      `UPDATE survey_sessions SET status = 'expired', ended_at = NOW(), updated_at = NOW()
+       WHERE status = 'in_progress' AND expires_at <= NOW()`
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Run expireStale on the configured cron schedule
+   */
+  scheduleExpiry() {
+    return cron.schedule(this.config.expiryCron, async () => {
+      try {
+        const expired = await this.expireStale();
+        if (expired > 0) console.log(`⏱️  Expired ${expired} survey session(s)`);
+      } catch (err) {
+        console.error('Survey session expiry error:', err.message);
+      }
+    });
+  }
+
+  /**
+   * Recent sessions for a user, newest first
+   */
+  async getHistory(userId, limit = 20) {
+    const result = await db.query(
+      `SELECT * FROM survey_sessions WHERE user_id = $1 ORDER BY started_at DESC LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows.map(row => this._formatSession(row));
+  }
+
+  /**
+   * Completion and earnings totals for a user
+   */
+  async getStats(userId) {
+    const result = await db.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE status = 'completed') AS total_completed,
+         COALESCE(SUM(earned) FILTER (WHERE status = 'completed'), 0) AS total_earned,
+         COALESCE(SUM(earned) FILTER (WHERE status = 'completed' AND ended_at >= NOW() - INTERVAL '7 days'), 0) AS this_week,
+         COALESCE(SUM(earned) FILTER (WHERE status = 'completed' AND ended_at >= NOW() - INTERVAL '30 days'), 0) AS this_month,
+         COUNT(*) FILTER (WHERE status = 'screened_out') AS screened_out,
+         COUNT(*) FILTER (WHERE status = 'quota_full') AS quota_full,
+         COUNT(*) FILTER (WHERE status = 'abandoned') AS abandoned,
+         COUNT(*) FILTER (WHERE status = 'expired') AS expired,
+         COUNT(*) FILTER (WHERE status = 'reversed') AS reversed,
+         COUNT(*) FILTER (WHERE status IN ('screened_out', 'quota_full') AND earned > 0) AS consolation_count,
+         COALESCE(SUM(earned) FILTER (WHERE status IN ('screened_out', 'quota_full')), 0) AS consolation_earned,
+         COUNT(*) FILTER (WHERE status <> 'in_progress') AS total_finished
+       FROM survey_sessions
+       WHERE user_id = $1`,
+      [userId]
+    );
+
+    const row = result.rows[0];
+    const totalCompleted = parseInt(row.total_completed);
+    const totalEarned = parseFloat(row.total_earned);
+    const totalFinished = parseInt(row.total_finished);
+
+    return {
+      totalCompleted,
+      totalEarned,
+      averagePayout: totalCompleted > 0 ? Math.round((totalEarned / totalCompleted) * 100) / 100 : 0,
+      thisWeek: parseFloat(row.this_week),
+      thisMonth: parseFloat(row.this_month),
+      screenedOut: parseInt(row.screened_out),
+      quotaFull: parseInt(row.quota_full),
+      abandoned: parseInt(row.abandoned),
+      expired: parseInt(row.expired),
+      reversed: parseInt(row.reversed),
+      consolation: {
+        count: parseInt(row.consolation_count),
+        earned: parseFloat(row.consolation_earned)
+      },
+      completionRate: totalFinished > 0 ? Math.round((totalCompleted / totalFinished) * 100) : 0
+    };
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Format session row for API responses
+   */
+  _formatSession(row) {
+    return {
+      sessionId: row.id,
+      userId: row.user_id,
+      surveyId: row.survey_id,
+      provider: row.provider,
+      title: row.survey_title,
+      category: row.category,
+      status: row.status,
+      estimatedMinutes: row.estimated_minutes,
+      expectedPayout: parseFloat(row.expected_payout),
+      earned: parseFloat(row.earned),
+      redirectToken: row.redirect_token,
+      country: row.country,
+      startedAt: row.started_at,
+      returnedAt: row.returned_at,
+      endedAt: row.ended_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+module.exports = SurveySessionService;
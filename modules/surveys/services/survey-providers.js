@@ -0,0 +1,579 @@
+/**
+ * Survey Providers Service
+ * Adapters for Pollfish, CPX Research, BitLabs and a local fixture provider
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+class SurveyProviders {
+  constructor(config = {}) {
+    this.config = config;
+    this.registry = {
+      pollfish: PollfishProvider,
+      cpx: CPXResearchProvider,
+      bitlabs: BitLabsProvider,
+      fixture: FixtureProvider
+    };
+    this.providers = {};
+
+    for (const [name, providerConfig] of Object.entries(config)) {
+      const Provider = this.registry[name];
+      if (!Provider || !providerConfig || !providerConfig.enabled) continue;
+
+      const provider = new Provider(providerConfig);
+      if (!provider.isConfigured()) {
+        console.warn(`Survey provider "${name}" is enabled but missing credentials, skipping`);
+        continue;
+      }
+      this.providers[name] = provider;
+    }
+  }
+
+  /**
+   * Get an enabled provider adapter by name
+   */
+  getProvider(name) {
+    return this.providers[name] || null;
+  }
+
+  /**
+   * Names of all enabled providers
+   */
+  getEnabledProviders() {
+    return Object.keys(this.providers);
+  }
+
+  /**
+   * One provider's normalized inventory, minus anything unavailable,
+   * unpaid or out of quota
+   */
+  async fetchProviderInventory(name, user) {
+    const provider = this.getProvider(name);
+    if (!provider) return [];
+
+    const raw = await provider.fetchSurveys(user);
+    return raw
+      .map(r => provider.normalize(r))
+      .filter(survey => survey && isOpen(survey));
+  }
+
+  /**
+   * Drop repeated listings of the same provider survey - titles are generic
+   * ('Research Survey'), so nothing but provider and external id identifies one
+   */
+  dedupe(surveys) {
+    const byKey = new Map();
+    for (const survey of surveys) {
+      const key = `${survey.provider}:${survey.externalId}`;
+      if (!byKey.has(key)) byKey.set(key, survey);
+    }
+    return [...byKey.values()];
+  }
+}
+
+/**
+ * Base provider adapter
+ * Subclasses implement fetchSurveys() and normalize()
+ */
+class SurveyProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = {
+      timeoutMs: 5000,
+      allowedIps: [],
+      maxPostbackAgeSeconds: 3600,
+      sessionParam: 'subid',
+      ...config
+    };
+    // True when every user gets the same list and entry URLs - cached once and refreshed on a schedule.
+    // Real networks target and sign their lists per user, so they're cached per user instead
+    this.sharedInventory = false;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async fetchSurveys(user) {
+    throw new Error(`${this.name} adapter does not implement fetchSurveys`);
+  }
+
+  normalize(raw) {
+    throw new Error(`${this.name} adapter does not implement normalize`);
+  }
+
+  /**
+   * Provider entry URL carrying our session token, which the provider
+   * passes back on the postback as config.sessionParam
+   */
+  buildEntryUrl(survey, sessionToken) {
+    if (!survey.entryUrl) return null;
+    const separator = survey.entryUrl.includes('?') ? '&' : '?';
+    return `${survey.entryUrl}${separator}${this.config.sessionParam}=${encodeURIComponent(sessionToken)}`;
+  }
+
+  /**
+   * Profiler answers mapped to this provider's qualification params
+   */
+  qualifications(user) {
+    return (user.qualifications && user.qualifications[this.name]) || {};
+  }
+
+  /**
+   * Postback params from the query string and body - null when a key is sent in both,
+   * so an unsigned body can't override a signed query value (or the other way round)
+   * Adapters whose signature covers only one source read just that one
+   */
+  postbackParams(req) {
+    const query = req.query || {};
+    const body = req.body || {};
+    if (Object.keys(body).some(key => Object.prototype.hasOwnProperty.call(query, key))) return null;
+    return { ...query, ...body };
+  }
+
+  /**
+   * Verify the postback signature - adapters without one reject everything
+   */
+  verifySignature(params, req) {
+    return false;
+  }
+
+  /**
+   * Map provider postback params to { transactionId, userId, externalSurveyId,
+   * providerPayout, status, timestamp, sessionToken }
+   */
+  parsePostback(params) {
+    throw new Error(`${this.name} adapter does not implement parsePostback`);
+  }
+
+  /**
+   * Check the caller against the configured IP allowlist (empty = any)
+   */
+  isAllowedIp(ip) {
+    const allowed = this.config.allowedIps || [];
+    if (allowed.length === 0) return true;
+    return allowed.includes(String(ip || '').replace(/^::ffff:/, ''));
+  }
+
+  /**
+   * Reject postbacks signed too long ago (providers without timestamps pass)
+   */
+  isFreshTimestamp(timestamp) {
+    if (!timestamp) return true;
+    if (isNaN(timestamp.getTime())) return false;
+    const ageSeconds = Math.abs(Date.now() - timestamp.getTime()) / 1000;
+    return ageSeconds <= this.config.maxPostbackAgeSeconds;
+  }
+
+  /**
+   * Build the common survey shape returned by /available
+   */
+  _survey({
+    externalId, title, description, estimatedMinutes, providerPayout, category, entryUrl,
+    targeting = {}, quotaRemaining = null, available = true
+  }) {
+    return {
+      id: `${this.name}_${externalId}`,
+      provider: this.name,
+      externalId: String(externalId),
+      title: title || 'Paid Survey',
+      description: description || '',
+      estimatedMinutes: Math.max(1, Math.round(Number(estimatedMinutes) || 0)),
+      providerPayout: roundCents(providerPayout),
+      category: (category || 'general').toLowerCase(),
+      entryUrl: entryUrl || null,
+      targeting: normalizeTargeting(targeting),
+      quotaRemaining: quotaRemaining === null || quotaRemaining === undefined ? null : Number(quotaRemaining),
+      available
+    };
+  }
+}
+
+/**
+ * Pollfish Provider
+ * CPA values are reported in US cents
+ */
+class PollfishProvider extends SurveyProvider {
+  constructor(config = {}) {
+    super('pollfish', {
+      apiUrl: 'https://wss.pollfish.com/v2/device/offerwall/surveys',
+      apiKey: process.env.POLLFISH_API_KEY,
+      secretKey: process.env.POLLFISH_SECRET_KEY,
+      ...config
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async fetchSurveys(user) {
+    const response = await axios.get(this.config.apiUrl, {
+      params: {
+        api_key: this.config.apiKey,
+        request_uuid: user.userId,
+        ip: user.ip,
+        country: user.country,
+        ...this.qualifications(user)
+      },
+      timeout: this.config.timeoutMs
+    });
+    return response.data.surveys || [];
+  }
+
+  normalize(raw) {
+    return this._survey({
+      externalId: raw.survey_id,
+      title: raw.survey_title,
+      description: raw.survey_description,
+      estimatedMinutes: raw.survey_loi,
+      providerPayout: (Number(raw.survey_cpa) || 0) / 100,
+      category: raw.survey_class,
+      entryUrl: raw.survey_link
+    });
+  }
+
+  /**
+   * Signature is base64 HMAC-SHA1 over the present params joined with ":"
+   */
+  verifySignature(params) {
+    if (!this.config.secretKey || !params.signature) return false;
+
+    const fields = ['cpa', 'device_id', 'request_uuid', 'reward_name', 'reward_value', 'status', 'timestamp', 'tx_id'];
+    const message = fields
+      .filter(f => params[f] !== undefined && params[f] !== '')
+      .map(f => params[f])
+      .join(':');
+    const expected = crypto.createHmac('sha1', this.config.secretKey).update(message).digest('base64');
+    return safeEqual(expected, params.signature);
+  }
+
+  parsePostback(params) {
+    let status = 'completed';
+    if (params.status && params.status !== 'eligible') {
+      status = params.term_reason === 'quota_full' ? 'quota_full' : 'screened_out';
+    }
+
+    return {
+      transactionId: params.tx_id,
+      userId: params.request_uuid,
+      externalSurveyId: params.survey_id,
+      providerPayout: (Number(params.cpa) || 0) / 100,
+      status,
+      timestamp: params.timestamp ? new Date(Number(params.timestamp)) : null,
+      sessionToken: params[this.config.sessionParam]
+    };
+  }
+}
+
+/**
+ * CPX Research Provider
+ * Requests are signed with md5("<ext_user_id>-<secure hash>")
+ */
+class CPXResearchProvider extends SurveyProvider {
+  constructor(config = {}) {
+    super('cpx', {
+      apiUrl: 'https://live-api.cpx-research.com/api/get-surveys.php',
+      appId: process.env.CPX_APP_ID,
+      secureHash: process.env.CPX_SECURE_HASH,
+      limit: 12,
+      allowedIps: ['188.40.3.73', '157.90.97.92', '2a01:4f8:d0a:30ff::2'],
+      sessionParam: 'subid_1',
+      ...config
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.config.appId && this.config.secureHash);
+  }
+
+  async fetchSurveys(user) {
+    const secureHash = crypto
+      .createHash('md5')
+      .update(`${user.userId}-${this.config.secureHash}`)
+      .digest('hex');
+
+    const response = await axios.get(this.config.apiUrl, {
+      params: {
+        app_id: this.config.appId,
+        ext_user_id: user.userId,
+        output_method: 'api',
+        ip_user: user.ip,
+        user_agent: user.userAgent,
+        limit: this.config.limit,
+        secure_hash: secureHash,
+        ...this.qualifications(user)
+      },
+      timeout: this.config.timeoutMs
+    });
+
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'CPX Research request failed');
+    }
+    return response.data.surveys || [];
+  }
+
+  normalize(raw) {
+    return this._survey({
+      externalId: raw.id,
+      title: raw.title || (raw.top ? 'Top Survey' : 'Research Survey'),
+      description: raw.details,
+      estimatedMinutes: raw.loi,
+      providerPayout: raw.payout_publisher_usd !== undefined ? raw.payout_publisher_usd : raw.payout,
+      category: raw.category || raw.type,
+      entryUrl: raw.href_new || raw.href
+    });
+  }
+
+  /**
+   * Postback hash is md5("<trans_id>-<secure hash>")
+   */
+  verifySignature(params) {
+    if (!params.hash || !params.trans_id) return false;
+
+    const expected = crypto
+      .createHash('md5')
+      .update(`${params.trans_id}-${this.config.secureHash}`)
+      .digest('hex');
+    return safeEqual(expected, String(params.hash).toLowerCase());
+  }
+
+  parsePostback(params) {
+    let status = 'completed';
+    if (String(params.status) === '2') {
+      status = 'reversed';
+    } else if (params.type === 'out') {
+      status = 'screened_out';
+    }
+
+    return {
+      transactionId: params.trans_id,
+      userId: params.user_id,
+      externalSurveyId: params.offer_id,
+      providerPayout: Number(params.amount_usd) || 0,
+      status,
+      timestamp: null,
+      sessionToken: params[this.config.sessionParam]
+    };
+  }
+}
+
+/**
+ * BitLabs-style Offerwall Provider
+ * Authenticated with the app token and user id headers
+ */
+class BitLabsProvider extends SurveyProvider {
+  constructor(config = {}) {
+    super('bitlabs', {
+      apiUrl: 'https://api.bitlabs.ai/v2/client/surveys',
+      appToken: process.env.BITLABS_APP_TOKEN,
+      secretKey: process.env.BITLABS_SECRET_KEY,
+      ...config
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.config.appToken);
+  }
+
+  async fetchSurveys(user) {
+    const response = await axios.get(this.config.apiUrl, {
+      headers: {
+        'X-Api-Token': this.config.appToken,
+        'X-User-Id': String(user.userId),
+        'X-Forwarded-For': user.ip || '',
+        'User-Agent': user.userAgent || 'common-cents'
+      },
+      timeout: this.config.timeoutMs
+    });
+    return (response.data.data && response.data.data.surveys) || [];
+  }
+
+  normalize(raw) {
+    return this._survey({
+      externalId: raw.id,
+      title: raw.category && raw.category.name ? `${raw.category.name} Survey` : 'Offerwall Survey',
+      estimatedMinutes: raw.loi,
+      providerPayout: parseFloat(raw.cpi),
+      category: raw.category && raw.category.name,
+      entryUrl: raw.click_url,
+      targeting: { countries: raw.country ? [raw.country] : [] }
+    });
+  }
+
+  /**
+   * The hash signs the callback URL, so the body is never read
+   */
+  postbackParams(req) {
+    return { ...req.query };
+  }
+
+  /**
+   * Hash is hex HMAC-SHA1 of the full callback URL up to "&hash="
+   * Set callbackBaseUrl when a proxy rewrites the public host or protocol
+   */
+  verifySignature(params, req) {
+    if (!this.config.secretKey || !params.hash) return false;
+
+    const baseUrl = this.config.callbackBaseUrl || `${req.protocol}://${req.get('host')}`;
+    const signedUrl = (baseUrl + req.originalUrl).replace(/[?&]hash=[^&]*$/, '');
+    const expected = crypto.createHmac('sha1', this.config.secretKey).update(signedUrl).digest('hex');
+    return safeEqual(expected, String(params.hash).toLowerCase());
+  }
+
+  parsePostback(params) {
+    const statusMap = {
+      COMPLETE: 'completed',
+      START_BONUS: 'completed',
+      SCREENOUT: 'screened_out',
+      RECONCILIATION: 'reversed'
+    };
+
+    return {
+      transactionId: params.tx,
+      userId: params.uid,
+      externalSurveyId: params.survey_id,
+      providerPayout: Number(params.raw) || 0,
+      status: statusMap[String(params.type || 'COMPLETE').toUpperCase()] || 'screened_out',
+      timestamp: null,
+      sessionToken: params[this.config.sessionParam]
+    };
+  }
+}
+
+/**
+ * Local Fixture Provider
+ * Static inventory for development and tests - never hits the network
+ */
+const FIXTURE_SURVEYS = [
+  {
+    id: 'survey_001',
+    title: 'Consumer Preferences Survey',
+    description: 'Share your shopping habits',
+    estimatedMinutes: 5,
+    payout: 1.00,
+    category: 'shopping',
+    targeting: { countries: ['US', 'CA', 'GB'] }
+  },
+  {
+    id: 'survey_002',
+    title: 'Entertainment Feedback',
+    description: 'Tell us about streaming preferences',
+    estimatedMinutes: 3,
+    payout: 0.62,
+    category: 'entertainment',
+    targeting: { ageRanges: ['18-24', '25-34'], interests: ['movies', 'tv', 'music', 'gaming'] }
+  },
+  {
+    id: 'survey_003',
+    title: 'Product Testing',
+    description: 'Review new product concepts',
+    estimatedMinutes: 8,
+    payout: 1.92,
+    category: 'products'
+  }
+];
+
+class FixtureProvider extends SurveyProvider {
+  constructor(config = {}) {
+    super('fixture', {
+      surveys: FIXTURE_SURVEYS,
+      secretKey: process.env.SURVEY_FIXTURE_SECRET,
+      entryBaseUrl: 'http://localhost:5000/fixture-survey',
+      sessionParam: 'session',
+      ...config
+    });
+    this.sharedInventory = true;
+  }
+
+  async fetchSurveys(user) {
+    return this.config.surveys;
+  }
+
+  normalize(raw) {
+    return this._survey({
+      externalId: raw.id,
+      title: raw.title,
+      description: raw.description,
+      estimatedMinutes: raw.estimatedMinutes,
+      providerPayout: raw.payout,
+      category: raw.category,
+      entryUrl: `${this.config.entryBaseUrl}/${raw.id}`,
+      targeting: raw.targeting,
+      quotaRemaining: raw.quota,
+      available: raw.available !== false
+    });
+  }
+
+  /**
+   * Hex HMAC-SHA256 over the sorted "key=value" params, excluding sig
+   */
+  verifySignature(params) {
+    if (!this.config.secretKey || !params.sig) return false;
+    return safeEqual(FixtureProvider.sign(params, this.config.secretKey), params.sig);
+  }
+
+  parsePostback(params) {
+    return {
+      transactionId: params.tx_id,
+      userId: params.user_id,
+      externalSurveyId: params.survey_id,
+      providerPayout: Number(params.payout) || 0,
+      status: params.status || 'completed',
+      timestamp: params.ts ? new Date(Number(params.ts) * 1000) : null,
+      sessionToken: params[this.config.sessionParam]
+    };
+  }
+
+  /**
+   * Sign fixture postback params - used by dev tooling to simulate callbacks
+   */
+  static sign(params, secretKey) {
+    const message = Object.keys(params)
+      .filter(key => key !== 'sig')
+      .sort()
+      .map(key => `${key}=${params[key]}`)
+      .join('&');
+    return crypto.createHmac('sha256', secretKey).update(message).digest('hex');
+  }
+}
+
+/**
+ * Still worth listing - available, paying, and not out of quota (null = unknown)
+ */
+function isOpen(survey) {
+  return survey.available && survey.providerPayout > 0 && (survey.quotaRemaining === null || survey.quotaRemaining > 0);
+}
+
+/**
+ * Targeting criteria in the casing SurveyMatcher compares against
+ */
+function normalizeTargeting(targeting = {}) {
+  const list = (values, transform) => (values || []).map(v => transform(String(v)));
+  return {
+    countries: list(targeting.countries, v => v.toUpperCase()),
+    ageRanges: list(targeting.ageRanges, v => v),
+    genders: list(targeting.genders, v => v.toLowerCase()),
+    occupations: list(targeting.occupations, v => v.toLowerCase()),
+    interests: list(targeting.interests, v => v.toLowerCase())
+  };
+}
+
+function safeEqual(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function roundCents(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+module.exports = SurveyProviders;
+module.exports.isOpen = isOpen;
+module.exports.normalizeTargeting = normalizeTargeting;
+module.exports.SurveyProvider = SurveyProvider;
+module.exports.FixtureProvider = FixtureProvider;
+module.exports.safeEqual = safeEqual;
+module.exports.roundCents = roundCents;
@@ -1,23 +1,53 @@
 ﻿const express = require('express');
 const router = express.Router();
+const { authenticateToken: auth, isAdmin: adminOnly } = require('../middleware/auth');
+const BalanceService = require('../services/balance');
+const AdjustmentService = require('../services/adjustments');
+const ReconciliationService = require('../services/reconciliation');
+const DormancyService = require('../services/dormancy');
+
+let balanceService = null;
+let adjustmentService = null;
+let reconciliationService = null;
+let dormancyService = null;
+
+// Initialize with the shared balance service (or build one from config)
+// Returns the services the server schedules jobs on
+const initService = (config = {}, service = null) => {
+  balanceService = service || new BalanceService(config);
+  adjustmentService = new AdjustmentService(config.adjustments || {}, { balanceService });
+  reconciliationService = new ReconciliationService({
+    timezone: balanceService.config.timezone,
+    ...(config.reconciliation || {})
+  });
+  dormancyService = new DormancyService(config.dormancy || {}, { balanceService });
+  return { balanceService, adjustmentService, reconciliationService, dormancyService };
+};
+
+// Status for each adjustment error code
+const ADJUSTMENT_ERRORS = {
+  INVALID_ADJUSTMENT: 400,
+  INSUFFICIENT_BALANCE: 400,
+  SELF_APPROVAL: 403,
+  USER_NOT_FOUND: 404,
+  ADJUSTMENT_NOT_FOUND: 404,
+  ADJUSTMENT_NOT_PENDING: 409,
+  IDEMPOTENCY_CONFLICT: 409
+};
 
 // Get user balance and summary
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // TODO: Fetch from database
-    const balance = {
-      userId,
-      available: 0.00,
-      pending: 0.00,
-      lifetimeEarnings: 0.00,
-      todayEarnings: 0.00,
-      weekEarnings: 0.00,
-      monthEarnings: 0.00,
-      currency: 'USD',
-      lastUpdated: new Date().toISOString()
-    };
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const balance = await balanceService.getBalance(userId);
     
     res.json(balance);
   } catch (error) {
@@ -26,119 +56,441 @@ router.get('/:userId', async (req, res) => {
   }
 });
 
-// Add to balance (internal use - surveys, spins, bonuses)
-router.post('/:userId/credit', async (req, res) => {
+// Manual credit/debit - { amount, reasonCode, note, referenceId } - posted as a reason-coded adjustment,
+// so it gets the same audit trail and second-admin approval over the threshold as /admin/adjustments
+// Retries with the same referenceId, or Idempotency-Key header, return the original adjustment
+// Earnings and cashouts post through the balance service, never these routes
+const manualAdjustment = (sign, label) => async (req, res) => {
   try {
     const { userId } = req.params;
-    const { amount, type, description, referenceId } = req.body;
+    const { amount, reasonCode, note, description, referenceId } = req.body;
     
-    if (amount <= 0) {
+    if (!(parseFloat(amount) > 0)) {
       return res.status(400).json({ error: 'Amount must be positive' });
     }
+    if (!adjustmentService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const adjustment = await adjustmentService.request(userId, {
+      amount: sign * parseFloat(amount),
+      reasonCode,
+      note: note || description,
+      idempotencyKey: req.get('Idempotency-Key') || (referenceId ? `${label}:${referenceId}` : null)
+    }, req.user.id);
+    
+    res.status(adjustment.replayed ? 200 : 201).json({ success: true, adjustment, replayed: Boolean(adjustment.replayed) });
+  } catch (error) {
+    if (ADJUSTMENT_ERRORS[error.code]) {
+      return res.status(ADJUSTMENT_ERRORS[error.code]).json({ error: error.message, code: error.code, adjustment: error.adjustment });
+    }
+    console.error(`Balance ${label} error:`, error);
+    res.status(500).json({ error: `Failed to ${label} balance` });
+  }
+};
+
+router.post('/:userId/credit', auth, adminOnly, manualAdjustment(1, 'credit'));
+router.post('/:userId/debit', auth, adminOnly, manualAdjustment(-1, 'debit'));
+
+// History filters shared by the list and the statement download
+const historyFilters = (query) => ({
+  type: query.type,
+  account: query.account,
+  referenceId: query.referenceId,
+  minAmount: query.minAmount,
+  maxAmount: query.maxAmount,
+  from: query.from,
+  to: query.to
+});
+
+// Get transaction history - newest first, pass nextCursor back as ?cursor= for the next page
+router.get('/:userId/transactions', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
     
-    // TODO: Database operations
-    // 1. Add amount to user balance
-    // 2. Create transaction record
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
-    const transaction = {
-      id: 'txn_' + Date.now(),
+    const { transactions, hasMore, nextCursor } = await balanceService.getTransactions(
       userId,
-      type, // 'survey', 'spin', 'streak_bonus', 'achievement', 'referral'
-      amount,
-      description,
-      referenceId,
-      createdAt: new Date().toISOString()
-    };
+      historyFilters(req.query),
+      { limit, cursor: req.query.cursor || null }
+    );
     
     res.json({
-      success: true,
-      transaction,
-      newBalance: amount // TODO: Return actual new balance
+      transactions,
+      count: transactions.length,
+      hasMore,
+      nextCursor
     });
   } catch (error) {
-    console.error('Balance credit error:', error);
-    res.status(500).json({ error: 'Failed to credit balance' });
+    if (error.code === 'INVALID_FILTER' || error.code === 'INVALID_PERIOD') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Transaction history error:', error);
+    res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
 
-// Deduct from balance (internal use - cashouts)
-router.post('/:userId/debit', async (req, res) => {
+// Download a statement (?format=csv or xlsx) - the user's own, or any user's for admins
+router.get('/:userId/statement', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { amount, type, description, referenceId } = req.body;
+    const { format = 'csv' } = req.query;
     
-    if (amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be positive' });
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'You can only download your own statement' });
     }
     
-    // TODO: Check sufficient balance
-    // TODO: Deduct from balance
-    // TODO: Create transaction record
-    
-    const transaction = {
-      id: 'txn_' + Date.now(),
-      userId,
-      type, // 'cashout'
-      amount: -amount,
-      description,
-      referenceId,
-      createdAt: new Date().toISOString()
-    };
+    const file = await balanceService.exportStatement(userId, historyFilters(req.query), format);
     
-    res.json({
-      success: true,
-      transaction,
-      newBalance: 0 // TODO: Return actual new balance
-    });
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(Buffer.from(file.buffer));
   } catch (error) {
-    console.error('Balance debit error:', error);
-    res.status(500).json({ error: 'Failed to debit balance' });
+    if (['INVALID_FILTER', 'INVALID_PERIOD', 'STATEMENT_TOO_LARGE'].includes(error.code)) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Statement export error:', error);
+    res.status(500).json({ error: 'Failed to export statement' });
   }
 });
 
-// Get transaction history
-router.get('/:userId/transactions', async (req, res) => {
+// Pending earnings and when each unlocks, soonest first
+router.get('/:userId/pending', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { type, limit = 50, offset = 0 } = req.query;
     
-    // TODO: Fetch from database with filters
-    const transactions = [];
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const releases = await balanceService.getPendingReleases(userId);
+    const total = releases.reduce((sum, release) => sum + release.amount, 0);
     
     res.json({
-      transactions,
-      count: transactions.length,
-      hasMore: false
+      releases: releases.map(release => ({
+        transactionId: release.id,
+        type: release.type,
+        description: release.description,
+        amount: release.amount,
+        availableAt: release.availableAt,
+        createdAt: release.createdAt
+      })),
+      count: releases.length,
+      total: Math.round(total * 100) / 100
     });
   } catch (error) {
-    console.error('Transaction history error:', error);
-    res.status(500).json({ error: 'Failed to fetch transactions' });
+    console.error('Pending releases error:', error);
+    res.status(500).json({ error: 'Failed to fetch pending releases' });
   }
 });
 
 // Get earnings breakdown
-router.get('/:userId/earnings', async (req, res) => {
+// period: today, week, month, year, all - or from/to dates; interval=day adds daily buckets for charts
+router.get('/:userId/earnings', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { period = 'month' } = req.query;
-    
-    // TODO: Aggregate from database
-    const earnings = {
-      surveys: 0,
-      spins: 0,
-      streakBonuses: 0,
-      achievements: 0,
-      referrals: 0,
-      other: 0,
-      total: 0,
-      period
-    };
+    const { period = 'month', from, to, interval } = req.query;
+    
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (String(req.user.id) !== String(userId) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const earnings = await balanceService.getEarnings(userId, { period, from, to, interval });
     
     res.json(earnings);
   } catch (error) {
+    if (error.code === 'INVALID_PERIOD') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Earnings fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch earnings' });
   }
 });
 
+// Admin: release pending earnings that are due now, without waiting for the cron
+router.post('/admin/release', auth, adminOnly, async (req, res) => {
+  try {
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const released = await balanceService.releaseDue();
+    
+    res.json({ success: true, released });
+  } catch (error) {
+    console.error('Pending release error:', error);
+    res.status(500).json({ error: 'Failed to release pending earnings' });
+  }
+});
+
+// Admin: adjust a user's balance - { userId, amount (negative to deduct), reasonCode, note }
+// Amounts over the approval threshold come back pending_approval until a second admin approves
+// Send an Idempotency-Key header to make retries safe
+router.post('/admin/adjustments', auth, adminOnly, async (req, res) => {
+  try {
+    const { userId, amount, reasonCode, note } = req.body;
+    
+    if (!adjustmentService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const adjustment = await adjustmentService.request(userId, {
+      amount,
+      reasonCode,
+      note,
+      idempotencyKey: req.get('Idempotency-Key') || null
+    }, req.user.id);
+    
+    res.status(adjustment.replayed ? 200 : 201).json({ success: true, adjustment, replayed: Boolean(adjustment.replayed) });
+  } catch (error) {
+    if (ADJUSTMENT_ERRORS[error.code]) {
+      return res.status(ADJUSTMENT_ERRORS[error.code]).json({ error: error.message, code: error.code, adjustment: error.adjustment });
+    }
+    console.error('Balance adjustment error:', error);
+    res.status(500).json({ error: 'Failed to adjust balance' });
+  }
+});
+
+// Admin: adjustments, e.g. ?status=pending_approval for the approval queue
+router.get('/admin/adjustments', auth, adminOnly, async (req, res) => {
+  try {
+    const { status, userId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (!adjustmentService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const adjustments = await adjustmentService.list({ status, userId, limit });
+    
+    res.json({ adjustments, count: adjustments.length });
+  } catch (error) {
+    console.error('Adjustment list error:', error);
+    res.status(500).json({ error: 'Failed to fetch adjustments' });
+  }
+});
+
+// Admin: approve (and apply) or reject a pending adjustment - { note }
+router.post('/admin/adjustments/:adjustmentId/:decision(approve|reject)', auth, adminOnly, async (req, res) => {
+  try {
+    const { adjustmentId, decision } = req.params;
+    const { note = null } = req.body || {};
+    
+    if (!adjustmentService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const adjustment = decision === 'approve'
+      ? await adjustmentService.approve(adjustmentId, req.user.id, note)
+      : await adjustmentService.reject(adjustmentId, req.user.id, note);
+    
+    res.json({ success: true, adjustment });
+  } catch (error) {
+    if (ADJUSTMENT_ERRORS[error.code]) {
+      return res.status(ADJUSTMENT_ERRORS[error.code]).json({ error: error.message, code: error.code, adjustment: error.adjustment });
+    }
+    console.error('Adjustment review error:', error);
+    res.status(500).json({ error: 'Failed to review adjustment' });
+  }
+});
+
+// Admin: a user's balance profile - balance, adjustment history with audit trail, recent transactions
+router.get('/admin/users/:userId', auth, adminOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!balanceService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const [balance, adjustments, recent] = await Promise.all([
+      balanceService.getBalance(userId),
+      adjustmentService.getHistory(userId),
+      balanceService.getTransactions(userId, {}, { limit: 20 })
+    ]);
+    
+    res.json({ ...balance, adjustments, recentTransactions: recent.transactions });
+  } catch (error) {
+    console.error('Admin balance profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch balance profile' });
+  }
+});
+
+// Admin: import a provider report CSV - { csv, reportDate } (reportDate if the file has no date column)
+// source is survey or offer for provider revenue, payout for payout-provider results
+router.post('/admin/reconciliation/import/:source/:provider', auth, adminOnly, async (req, res) => {
+  try {
+    const { source, provider } = req.params;
+    const { csv, reportDate } = req.body;
+    
+    if (!reconciliationService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    if (!csv) {
+      return res.status(400).json({ error: 'csv is required' });
+    }
+    
+    const result = await reconciliationService.importReport(source, provider, csv, { reportDate });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.code === 'INVALID_REPORT') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Report import error:', error);
+    res.status(500).json({ error: 'Failed to import report' });
+  }
+});
+
+// Admin: reconcile a day now - { date } (default yesterday), replacing that day's report
+router.post('/admin/reconciliation/run', auth, adminOnly, async (req, res) => {
+  try {
+    if (!reconciliationService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const report = await reconciliationService.run(req.body.date || null);
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    if (error.code === 'INVALID_DATE') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Reconciliation run error:', error);
+    res.status(500).json({ error: 'Failed to run reconciliation' });
+  }
+});
+
+// Admin: recent reconciliation reports (totals only)
+router.get('/admin/reconciliation', auth, adminOnly, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 30, 365);
+    
+    if (!reconciliationService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const reports = await reconciliationService.listReports(limit);
+    
+    res.json({ reports, count: reports.length });
+  } catch (error) {
+    console.error('Reconciliation list error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation reports' });
+  }
+});
+
+// Admin: one day's reconciliation report with its mismatches
+router.get('/admin/reconciliation/:date', auth, adminOnly, async (req, res) => {
+  try {
+    if (!reconciliationService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const report = await reconciliationService.getReport(req.params.date);
+    if (!report) {
+      return res.status(404).json({ error: 'No reconciliation report for that date' });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    if (error.code === 'INVALID_DATE') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+  }
+});
+
+// Admin: dry run of the dormancy job - who would be warned or expired right now
+router.get('/admin/dormancy/preview', auth, adminOnly, async (req, res) => {
+  try {
+    if (!dormancyService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const preview = await dormancyService.preview();
+    
+    res.json(preview);
+  } catch (error) {
+    console.error('Dormancy preview error:', error);
+    res.status(500).json({ error: 'Failed to preview dormant balances' });
+  }
+});
+
+// Admin: send due dormancy notices and expire balances now, without waiting for the cron
+router.post('/admin/dormancy/run', auth, adminOnly, async (req, res) => {
+  try {
+    if (!dormancyService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const result = await dormancyService.run();
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Dormancy run error:', error);
+    res.status(500).json({ error: 'Failed to run dormancy job' });
+  }
+});
+
+// Admin: expired balances, optionally ?userId=
+router.get('/admin/dormancy/expiries', auth, adminOnly, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (!dormancyService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const expiries = await dormancyService.listExpiries({ userId: parseInt(req.query.userId) || null, limit });
+    
+    res.json({ expiries, count: expiries.length });
+  } catch (error) {
+    console.error('Expiry list error:', error);
+    res.status(500).json({ error: 'Failed to fetch expiries' });
+  }
+});
+
+// Admin: give an expired balance back
+router.post('/admin/dormancy/expiries/:expiryId/reinstate', auth, adminOnly, async (req, res) => {
+  try {
+    if (!dormancyService) {
+      return res.status(503).json({ error: 'Balance service not initialized' });
+    }
+    
+    const expiry = await dormancyService.reinstate(req.params.expiryId, req.user.id);
+    
+    res.json({ success: true, expiry });
+  } catch (error) {
+    if (error.code === 'EXPIRY_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'ALREADY_REINSTATED') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Expiry reinstate error:', error);
+    res.status(500).json({ error: 'Failed to reinstate balance' });
+  }
+});
+
 module.exports = router;
+module.exports.initService = initService;
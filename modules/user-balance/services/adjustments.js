@@ -0,0 +1,276 @@
+/**
+ * Balance Adjustments
+ * Manual corrections by support staff - reason-coded, audited, and above a threshold approved by a second admin
+ */
+
+const db = require('../database/db');
+
+// Why support may correct a balance - brain.json balance.adjustments.reasonCodes replaces these
+const REASON_CODES = ['missing_credit', 'duplicate_credit', 'provider_correction', 'fraud_clawback', 'goodwill', 'other'];
+
+class AdjustmentService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      reasonCodes: REASON_CODES,
+      // Adjustments larger than this (either direction) wait for a second admin
+      approvalThreshold: 25,
+      maxAmount: 1000,
+      // Reasons allowed to take the available balance below zero
+      allowNegativeReasons: ['fraud_clawback'],
+      ...config
+    };
+    this.balanceService = deps.balanceService;
+  }
+
+  /**
+   * Request an adjustment - amount is signed, negative takes money off
+   * Up to the approval threshold it applies immediately; above it waits as pending_approval
+   * A retry with the same idempotencyKey (per admin and user) returns the original adjustment
+   * marked replayed, or fails with IDEMPOTENCY_CONFLICT if it asks for something different
+   */
+  async request(userId, { amount, reasonCode, note, idempotencyKey = null } = {}, adminId) {
+    const value = Math.round(Number(amount) * 100) / 100;
+    if (!Number.isFinite(value) || value === 0) {
+      throw adjustmentError('INVALID_ADJUSTMENT', 'amount must be a non-zero number');
+    }
+    if (Math.abs(value) > this.config.maxAmount) {
+      throw adjustmentError('INVALID_ADJUSTMENT', `amount can't exceed ${this.config.maxAmount} either way`);
+    }
+    if (!this.config.reasonCodes.includes(reasonCode)) {
+      throw adjustmentError('INVALID_ADJUSTMENT', `reasonCode must be one of ${this.config.reasonCodes.join(', ')}`);
+    }
+    if (typeof note !== 'string' || !note.trim()) {
+      throw adjustmentError('INVALID_ADJUSTMENT', 'note is required');
+    }
+
+    return this._inTransaction(async (tx) => {
+      const user = await tx.query('SELECT id FROM users WHERE id = $1', [userId]);
+      if (!user.rows[0]) throw adjustmentError('USER_NOT_FOUND', 'User not found');
+
+      const inserted = await tx.query(
+        `INSERT INTO balance_adjustments (user_id, amount, reason_code, note, requested_by, idempotency_key)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (requested_by, user_id, idempotency_key) DO NOTHING
+         RETURNING *`,
+        [userId, value, reasonCode, note.trim(), adminId, idempotencyKey]
+      );
+      if (!inserted.rows[0]) return this._replay(tx, userId, adminId, idempotencyKey, { value, reasonCode });
+      const adjustment = inserted.rows[0];
+      await this._audit(tx, adjustment, 'requested', adminId, adjustment.note);
+
+      if (Math.abs(value) > this.config.approvalThreshold) {
+        return this._format(adjustment);
+      }
+      return this._apply(tx, adjustment, adminId);
+    });
+  }
+
+  /**
+   * Approve and apply a pending adjustment - never by the admin who requested it
+   */
+  async approve(adjustmentId, adminId, note = null) {
+    return this._inTransaction(async (tx) => {
+      const adjustment = await this._lockPending(tx, adjustmentId);
+      if (String(adjustment.requested_by) === String(adminId)) {
+        throw adjustmentError('SELF_APPROVAL', 'Adjustments need a second admin to approve');
+      }
+
+      const reviewed = await tx.query(
+        `UPDATE balance_adjustments SET reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [adjustment.id, adminId, note]
+      );
+      await this._audit(tx, adjustment, 'approved', adminId, note);
+      return this._apply(tx, reviewed.rows[0], adminId);
+    });
+  }
+
+  /**
+   * Reject a pending adjustment - the requester may withdraw their own
+   */
+  async reject(adjustmentId, adminId, note = null) {
+    return this._inTransaction(async (tx) => {
+      const adjustment = await this._lockPending(tx, adjustmentId);
+
+      const rejected = await tx.query(
+        `UPDATE balance_adjustments
+         SET status = 'rejected', reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [adjustment.id, adminId, note]
+      );
+      await this._audit(tx, adjustment, 'rejected', adminId, note);
+      return this._format(rejected.rows[0]);
+    });
+  }
+
+  /**
+   * Adjustments newest first, filtered by status and/or user
+   */
+  async list({ status, userId, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await db.query(
+      `SELECT * FROM balance_adjustments
+       ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows.map(row => this._format(row));
+  }
+
+  /**
+   * A user's adjustments with their audit trail, for the admin profile
+   */
+  async getHistory(userId, limit = 50) {
+    const adjustments = await this.list({ userId, limit });
+    if (adjustments.length === 0) return [];
+
+    const events = await db.query(
+      `SELECT * FROM balance_adjustment_events WHERE adjustment_id = ANY($1) ORDER BY id`,
+      [adjustments.map(a => a.id)]
+    );
+    return adjustments.map(adjustment => ({
+      ...adjustment,
+      events: events.rows.filter(e => e.adjustment_id === adjustment.id).map(e => ({
+        action: e.action,
+        actorId: e.actor_id,
+        note: e.note,
+        transactionId: e.balance_transaction_id,
+        createdAt: e.created_at
+      }))
+    }));
+  }
+
+  /**
+   * Post the adjustment to the ledger and record it as applied
+   */
+  async _apply(tx, adjustment, adminId) {
+    const amount = parseFloat(adjustment.amount);
+    const description = `Adjustment (${adjustment.reason_code}): ${adjustment.note}`;
+    const options = {
+      type: 'adjustment',
+      referenceId: `adjustment:${adjustment.id}`,
+      allowNegative: this.config.allowNegativeReasons.includes(adjustment.reason_code),
+      client: tx
+    };
+
+    const transaction = amount > 0
+      ? await this.balanceService.credit(adjustment.user_id, amount, description, options)
+      : await this.balanceService.debit(adjustment.user_id, -amount, description, options);
+
+    const applied = await tx.query(
+      `UPDATE balance_adjustments SET status = 'applied', balance_transaction_id = $2, applied_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [adjustment.id, transaction.id]
+    );
+    await this._audit(tx, applied.rows[0], 'applied', adminId, null);
+    return { ...this._format(applied.rows[0]), transaction };
+  }
+
+  /**
+   * The adjustment an idempotency key already made - only if it asked for the same change
+   */
+  async _replay(tx, userId, adminId, idempotencyKey, { value, reasonCode }) {
+    const result = await tx.query(
+      'SELECT * FROM balance_adjustments WHERE requested_by = $1 AND user_id = $2 AND idempotency_key = $3',
+      [adminId, userId, idempotencyKey]
+    );
+    const original = this._format(result.rows[0]);
+    if (original.amount !== value || original.reasonCode !== reasonCode) {
+      throw adjustmentError(
+        'IDEMPOTENCY_CONFLICT',
+        `Already used by adjustment ${original.id} (${original.reasonCode} ${original.amount.toFixed(2)})`,
+        { adjustment: original }
+      );
+    }
+    return { ...original, replayed: true };
+  }
+
+  async _lockPending(tx, adjustmentId) {
+    const locked = await tx.query('SELECT * FROM balance_adjustments WHERE id = $1 FOR UPDATE', [adjustmentId]);
+    const adjustment = locked.rows[0];
+    if (!adjustment) throw adjustmentError('ADJUSTMENT_NOT_FOUND', 'Adjustment not found');
+    if (adjustment.status !== 'pending_approval') {
+      throw adjustmentError('ADJUSTMENT_NOT_PENDING', `Adjustment is already ${adjustment.status}`);
+    }
+    return adjustment;
+  }
+
+  /**
+   * Append to the audit trail - balance_adjustment_events rejects updates and deletes
+   */
+  async _audit(tx, adjustment, action, actorId, note) {
+    await tx.query(
+      `INSERT INTO balance_adjustment_events
+         (adjustment_id, user_id, action, actor_id, amount, reason_code, note, balance_transaction_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        adjustment.id,
+        adjustment.user_id,
+        action,
+        actorId,
+        adjustment.amount,
+        adjustment.reason_code,
+        note,
+        adjustment.balance_transaction_id || null
+      ]
+    );
+  }
+
+  async _inTransaction(fn) {
+    const tx = await db.pool.connect();
+    try {
+      await tx.query('BEGIN');
+      const result = await fn(tx);
+      await tx.query('COMMIT');
+      return result;
+    } catch (err) {
+      await tx.query('ROLLBACK');
+      throw err;
+    } finally {
+      tx.release();
+    }
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      amount: parseFloat(row.amount),
+      reasonCode: row.reason_code,
+      note: row.note,
+      status: row.status,
+      requestedBy: row.requested_by,
+      reviewedBy: row.reviewed_by,
+      reviewNote: row.review_note,
+      transactionId: row.balance_transaction_id,
+      createdAt: row.created_at,
+      reviewedAt: row.reviewed_at,
+      appliedAt: row.applied_at
+    };
+  }
+}
+
+function adjustmentError(code, message, details = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, details);
+  return err;
+}
+
+module.exports = AdjustmentService;
+module.exports.REASON_CODES = REASON_CODES;
@@ -0,0 +1,856 @@
+/**
+ * Balance Service
+ * Double-entry ledger behind user balances - every change is a balanced journal entry
+ */
+
+const cron = require('node-cron');
+const ExcelJS = require('exceljs');
+const db = require('../database/db');
+const HoldPolicy = require('./hold-policy');
+
+// Transaction types rolled up into each earnings category
+const EARNING_CATEGORIES = {
+  surveys: ['survey', 'survey_consolation', 'survey_reversal'],
+  offers: ['offer', 'offer_reversal'],
+  spins: ['spin'],
+  streakBonuses: ['streak_bonus'],
+  achievements: ['achievement'],
+  referrals: ['referral']
+};
+
+// Balance movements that aren't earnings - cashouts, manual adjustments and dormancy expiry
+const NON_EARNING_TYPES = ['cashout', 'cashout_refund', 'adjustment', 'dormancy_expiry', 'dormancy_reinstatement'];
+
+// Calendar period each earnings query starts from (weeks start on Monday)
+const PERIOD_UNITS = { today: 'day', day: 'day', week: 'week', month: 'month', year: 'year' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Content type of each statement download format
+const STATEMENT_FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Ledger accounts every user has, materialized as user_balances columns
+const USER_ACCOUNTS = ['available', 'pending', 'held'];
+
+// Platform-side accounts (user_id is null)
+const SYSTEM_ACCOUNTS = ['provider_receivable', 'payouts', 'promo_expense', 'expired_balances'];
+
+// System account on the other side of each transaction type - anything unlisted is promo spend
+const CONTRA_ACCOUNTS = {
+  survey: 'provider_receivable',
+  survey_reversal: 'provider_receivable',
+  offer: 'provider_receivable',
+  offer_reversal: 'provider_receivable',
+  cashout: 'payouts',
+  cashout_refund: 'payouts',
+  dormancy_expiry: 'expired_balances',
+  dormancy_reinstatement: 'expired_balances'
+};
+const DEFAULT_CONTRA_ACCOUNT = 'promo_expense';
+
+class BalanceService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      currency: config.currency || 'USD',
+      // Day/week/month boundaries for earnings
+      timezone: 'America/New_York',
+      maxSeriesDays: 366,
+      maxStatementRows: 10000,
+      releaseCron: '*/15 * * * *',
+      releaseBatchSize: 100,
+      holds: {},
+      ...config
+    };
+    this.holdPolicy = deps.holdPolicy || new HoldPolicy(this.config.holds, { fraudService: deps.fraudService });
+    this.releaseHandlers = {};
+  }
+
+  /**
+   * Credit a user's available balance
+   * Pass options.client to run inside a caller's database transaction
+   * Replays of the same type and referenceId (or options.idempotencyKey) return the
+   * original transaction marked replayed - see _post
+   */
+  async credit(userId, amount, description, options = {}) {
+    const cents = this._cents(amount);
+    return this._post(userId, {
+      ...options,
+      description,
+      account: 'available',
+      lines: [
+        { account: 'available', cents },
+        { account: this._contraAccount(options), cents: -cents }
+      ]
+    });
+  }
+
+  /**
+   * Debit a user's available balance
+   * Fails with INSUFFICIENT_BALANCE unless options.allowNegative is set (clawbacks)
+   */
+  async debit(userId, amount, description, options = {}) {
+    const cents = this._cents(amount);
+    return this._post(userId, {
+      ...options,
+      description,
+      account: 'available',
+      lines: [
+        { account: 'available', cents: -cents },
+        { account: this._contraAccount(options), cents }
+      ]
+    });
+  }
+
+  /**
+   * Credit an earning, held as pending for as long as the hold policy says
+   * options.holdDays replaces the type's base hold; the policy still adjusts it for tenure and risk
+   */
+  async earn(userId, amount, description, options = {}) {
+    const { holdDays, client = null, ...rest } = options;
+
+    return this._inTransaction(client, async (tx) => {
+      const hold = await this.holdPolicy.forUser(userId, { type: rest.type, baseDays: holdDays }, tx);
+      if (!hold.availableAt) {
+        return this.credit(userId, amount, description, { ...rest, client: tx });
+      }
+      return this.addPending(userId, amount, description, { ...rest, availableAt: hold.availableAt, client: tx });
+    });
+  }
+
+  /**
+   * Credit the pending account - it shows in the balance but can't be cashed out
+   * The release job moves it to available at options.availableAt (never, if unset)
+   */
+  async addPending(userId, amount, description, options = {}) {
+    const cents = this._cents(amount);
+    return this._post(userId, {
+      ...options,
+      description,
+      account: 'pending',
+      lines: [
+        { account: 'pending', cents },
+        { account: this._contraAccount(options), cents: -cents }
+      ]
+    });
+  }
+
+  /**
+   * Move a pending earning into the available balance
+   * Returns null if it was already released or cancelled
+   */
+  async releasePending(pendingId, options = {}) {
+    return this._settlePending(pendingId, options.client, async (pending, tx) => {
+      const cents = this._cents(pending.amount);
+      const transaction = await this._post(pending.user_id, {
+        type: pending.type,
+        description: pending.description,
+        referenceId: pending.reference_id,
+        // The earning itself holds type + referenceId - its release is keyed on the pending row
+        idempotencyKey: `release:${pending.id}`,
+        revenueShare: pending.revenue_share,
+        account: 'available',
+        lines: [
+          { account: 'pending', cents: -cents },
+          { account: 'available', cents }
+        ],
+        client: tx
+      });
+
+      for (const handler of this.releaseHandlers[pending.type] || []) {
+        await handler(tx, { pending: this._formatTransaction(pending), transaction });
+      }
+      return transaction;
+    });
+  }
+
+  /**
+   * Drop a pending earning that will never be paid (e.g. reversed before release)
+   * Returns null if it was already released or cancelled
+   */
+  async cancelPending(pendingId, description, options = {}) {
+    return this._settlePending(pendingId, options.client, (pending, tx) => {
+      const cents = this._cents(pending.amount);
+      return this._post(pending.user_id, {
+        type: options.type || pending.type,
+        description,
+        referenceId: options.referenceId || pending.reference_id,
+        idempotencyKey: `cancel:${pending.id}`,
+        account: 'pending',
+        lines: [
+          { account: 'pending', cents: -cents },
+          { account: this._contraAccount({ type: pending.type }), cents }
+        ],
+        client: tx
+      });
+    });
+  }
+
+  /**
+   * Undo an earning: cancel it if still pending, otherwise claw it back from available
+   * The debit may take the balance negative - the money has already left us
+   */
+  async reverse(transactionId, description, options = {}) {
+    const { client = null, ...rest } = options;
+
+    return this._inTransaction(client, async (tx) => {
+      const original = await tx.query('SELECT * FROM balance_transactions WHERE id = $1', [transactionId]);
+      const row = original.rows[0];
+      if (!row) return { transaction: null, cancelledPending: 0, clawedBack: 0 };
+
+      const amount = parseFloat(row.amount);
+      if (row.account === 'pending') {
+        const cancelled = await this.cancelPending(row.id, description, { ...rest, client: tx });
+        if (cancelled) return { transaction: cancelled, cancelledPending: amount, clawedBack: 0 };
+      }
+
+      const transaction = await this.debit(row.user_id, amount, description, {
+        ...rest,
+        allowNegative: true,
+        client: tx
+      });
+      return { transaction, cancelledPending: 0, clawedBack: amount };
+    });
+  }
+
+  /**
+   * Run handler(tx, { pending, transaction }) whenever a pending earning of this type is released
+   * Lets modules that track their own payout state (offers) follow the release job
+   */
+  onRelease(type, handler) {
+    this.releaseHandlers[type] = [...(this.releaseHandlers[type] || []), handler];
+  }
+
+  /**
+   * Release pending earnings whose hold has passed - each in its own transaction
+   */
+  async releaseDue() {
+    const due = await db.query(
+      `SELECT id FROM balance_transactions
+       WHERE available_at <= NOW() AND settled_at IS NULL
+       ORDER BY available_at
+       LIMIT $1`,
+      [this.config.releaseBatchSize]
+    );
+
+    let released = 0;
+    for (const row of due.rows) {
+      try {
+        if (await this.releasePending(row.id)) released++;
+      } catch (err) {
+        console.error(`Pending release error (transaction ${row.id}):`, err.message);
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Run releaseDue on the configured cron schedule
+   */
+  scheduleRelease() {
+    return cron.schedule(this.config.releaseCron, async () => {
+      try {
+        const released = await this.releaseDue();
+        if (released > 0) console.log(`💸 Released ${released} pending earning(s)`);
+      } catch (err) {
+        console.error('Pending release error:', err.message);
+      }
+    });
+  }
+
+  /**
+   * A user's unreleased pending earnings, soonest first
+   */
+  async getPendingReleases(userId) {
+    const result = await db.query(
+      `SELECT * FROM balance_transactions
+       WHERE user_id = $1 AND account = 'pending' AND amount > 0 AND settled_at IS NULL
+       ORDER BY available_at NULLS LAST, id`,
+      [userId]
+    );
+    return result.rows.map(row => this._formatTransaction(row));
+  }
+
+  /**
+   * Move available funds into the held account (e.g. a cashout awaiting payment)
+   * Never goes negative, whatever options.allowNegative says
+   */
+  async hold(userId, amount, description, options = {}) {
+    const cents = this._cents(amount);
+    return this._post(userId, {
+      ...options,
+      allowNegative: false,
+      description,
+      account: 'available',
+      lines: [
+        { account: 'available', cents: -cents },
+        { account: 'held', cents }
+      ]
+    });
+  }
+
+  /**
+   * Return held funds to the available balance
+   */
+  async releaseHold(userId, amount, description, options = {}) {
+    const cents = this._cents(amount);
+    return this._post(userId, {
+      ...options,
+      description,
+      account: 'available',
+      lines: [
+        { account: 'held', cents: -cents },
+        { account: 'available', cents }
+      ]
+    });
+  }
+
+  /**
+   * Pay held funds out of the platform
+   */
+  async settleHold(userId, amount, description, options = {}) {
+    const cents = this._cents(amount);
+    return this._post(userId, {
+      ...options,
+      description,
+      account: 'held',
+      lines: [
+        { account: 'held', cents: -cents },
+        { account: this._contraAccount({ type: 'cashout', ...options }), cents }
+      ]
+    });
+  }
+
+  /**
+   * Current balance with today/week/month earnings, totalled the same way as getEarnings
+   */
+  async getBalance(userId) {
+    const periods = ['today', 'week', 'month'];
+    const [balance, ...totals] = await Promise.all([
+      db.query('SELECT * FROM user_balances WHERE user_id = $1', [userId]),
+      ...periods.map(async (period) => {
+        const range = await this._periodRange({ period }, userId);
+        return sumEarnings(await this._earningsByDay(userId, range)).total;
+      })
+    ]);
+
+    const row = balance.rows[0] || {};
+
+    return {
+      userId,
+      available: parseFloat(row.available || 0),
+      pending: parseFloat(row.pending || 0),
+      held: parseFloat(row.held || 0),
+      lifetimeEarnings: parseFloat(row.lifetime_earnings || 0),
+      todayEarnings: totals[0],
+      weekEarnings: totals[1],
+      monthEarnings: totals[2],
+      currency: this.config.currency,
+      lastUpdated: row.updated_at || null
+    };
+  }
+
+  /**
+   * Newest-first transaction history, one page at a time
+   * Keyset pagination on id - rows inserted while paging never shift later pages
+   */
+  async getTransactions(userId, filters = {}, { limit = 50, cursor = null } = {}) {
+    const { conditions, params } = await this._transactionFilters(userId, filters);
+    if (cursor) {
+      params.push(decodeCursor(cursor));
+      conditions.push(`id < $${params.length}`);
+    }
+    params.push(limit + 1);
+
+    const result = await db.query(
+      `SELECT * FROM balance_transactions
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+
+    return {
+      transactions: rows.map(row => this._formatTransaction(row)),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1].id) : null
+    };
+  }
+
+  /**
+   * Downloadable statement of the filtered history, oldest first, as CSV or XLSX
+   * Times are in the business timezone
+   */
+  async exportStatement(userId, filters = {}, format = 'csv') {
+    if (!STATEMENT_FORMATS[format]) {
+      throw balanceError('INVALID_FILTER', 'format must be csv or xlsx');
+    }
+
+    const { conditions, params } = await this._transactionFilters(userId, filters);
+    params.push(this.config.timezone, this.config.maxStatementRows + 1);
+
+    const result = await db.query(
+      `SELECT *, to_char(created_at::timestamptz AT TIME ZONE $${params.length - 1}, 'YYYY-MM-DD HH24:MI:SS') AS local_time
+       FROM balance_transactions
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY id
+       LIMIT $${params.length}`,
+      params
+    );
+    if (result.rows.length > this.config.maxStatementRows) {
+      throw balanceError(
+        'STATEMENT_TOO_LARGE',
+        `Statements are limited to ${this.config.maxStatementRows} transactions - narrow the date range`
+      );
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Statement');
+    sheet.columns = [
+      { header: `Date (${this.config.timezone})`, key: 'date', width: 20 },
+      { header: 'Transaction ID', key: 'id', width: 14 },
+      { header: 'Type', key: 'type', width: 18 },
+      { header: 'Account', key: 'account', width: 10 },
+      { header: 'Description', key: 'description', width: 45 },
+      { header: 'Reference', key: 'referenceId', width: 30 },
+      { header: `Amount (${this.config.currency})`, key: 'amount', width: 14 },
+      { header: 'Balance after', key: 'balanceAfter', width: 14 }
+    ];
+    sheet.getRow(1).font = { bold: true };
+
+    for (const row of result.rows) {
+      const transaction = this._formatTransaction(row);
+      sheet.addRow({ ...transaction, date: row.local_time });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+      filename: `statement-${userId}-${filters.from || 'start'}-to-${filters.to || today}.${format}`,
+      contentType: STATEMENT_FORMATS[format],
+      buffer: format === 'xlsx' ? await workbook.xlsx.writeBuffer() : await workbook.csv.writeBuffer(),
+      count: result.rows.length
+    };
+  }
+
+  /**
+   * WHERE conditions for history filters: type (one or a list), account, referenceId,
+   * minAmount/maxAmount (signed - debits are negative) and from/to dates in the business timezone
+   */
+  async _transactionFilters(userId, { type, account, referenceId, minAmount, maxAmount, from, to } = {}) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    const types = Array.isArray(type) ? type : String(type || '').split(',').filter(Boolean);
+    if (types.length > 0) add('type = ANY(?)', types);
+
+    if (account) {
+      if (!USER_ACCOUNTS.includes(account)) {
+        throw balanceError('INVALID_FILTER', `account must be one of ${USER_ACCOUNTS.join(', ')}`);
+      }
+      add('account = ?', account);
+    }
+
+    if (referenceId) add('reference_id = ?', String(referenceId));
+
+    for (const [name, value, sql] of [['minAmount', minAmount, 'amount >= ?'], ['maxAmount', maxAmount, 'amount <= ?']]) {
+      if (value === undefined || value === null || value === '') continue;
+      if (isNaN(parseFloat(value))) {
+        throw balanceError('INVALID_FILTER', `${name} must be a number`);
+      }
+      add(sql, parseFloat(value));
+    }
+
+    if (from || to) {
+      const range = await this._periodRange({ from, to }, userId);
+      add('created_at >= ?', range.start);
+      add('created_at < ?', range.end);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Earnings by category for a period - today/day, week, month, year, all, or a custom from/to
+   * Periods follow the business timezone; options.interval = 'day' adds zero-filled daily buckets
+   */
+  async getEarnings(userId, { period = 'month', from, to, interval } = {}) {
+    if (interval && interval !== 'day') {
+      throw balanceError('INVALID_PERIOD', 'interval must be "day"');
+    }
+
+    const range = await this._periodRange({ period, from, to }, userId);
+    const [rows, pending] = await Promise.all([
+      this._earningsByDay(userId, range),
+      db.query('SELECT pending FROM user_balances WHERE user_id = $1', [userId])
+    ]);
+
+    const earnings = {
+      ...sumEarnings(rows),
+      pending: pending.rows[0] ? parseFloat(pending.rows[0].pending) : 0,
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      timezone: this.config.timezone
+    };
+
+    if (interval === 'day') {
+      earnings.series = this._dailySeries(rows, range);
+    }
+    return earnings;
+  }
+
+  /**
+   * Start/end instants and local from/to dates of a period in the business timezone
+   * "all" starts at the user's first transaction
+   */
+  async _periodRange({ period = 'month', from, to } = {}, userId) {
+    const tz = this.config.timezone;
+
+    if (from || to || period === 'custom') {
+      if (!isDateString(from) || !isDateString(to) || from > to) {
+        throw balanceError('INVALID_PERIOD', 'from and to must be YYYY-MM-DD dates, from on or before to');
+      }
+      const result = await db.query(
+        `SELECT $1::date::timestamp AT TIME ZONE $3 AS start, ($2::date + 1)::timestamp AT TIME ZONE $3 AS end`,
+        [from, to, tz]
+      );
+      return { period: 'custom', start: result.rows[0].start, end: result.rows[0].end, from, to };
+    }
+
+    if (period === 'all') {
+      const result = await db.query(
+        `SELECT to_char(MIN(created_at)::timestamptz AT TIME ZONE $2, 'YYYY-MM-DD') AS from,
+                to_char(NOW() AT TIME ZONE $2, 'YYYY-MM-DD') AS to
+         FROM balance_transactions WHERE user_id = $1`,
+        [userId, tz]
+      );
+      const { from: first, to: today } = result.rows[0];
+      return { period, start: null, end: null, from: first || today, to: today };
+    }
+
+    const unit = PERIOD_UNITS[period];
+    if (!unit) {
+      throw balanceError('INVALID_PERIOD', `period must be one of ${[...Object.keys(PERIOD_UNITS), 'all', 'custom'].join(', ')}`);
+    }
+    const result = await db.query(
+      `SELECT date_trunc($1, NOW() AT TIME ZONE $2) AT TIME ZONE $2 AS start,
+              to_char(date_trunc($1, NOW() AT TIME ZONE $2), 'YYYY-MM-DD') AS from,
+              to_char(NOW() AT TIME ZONE $2, 'YYYY-MM-DD') AS to`,
+      [unit, tz]
+    );
+    return { period, start: result.rows[0].start, end: null, from: result.rows[0].from, to: result.rows[0].to };
+  }
+
+  /**
+   * Available-account earnings grouped by local date and type within a range
+   */
+  async _earningsByDay(userId, range) {
+    const result = await db.query(
+      `SELECT to_char(created_at::timestamptz AT TIME ZONE $3, 'YYYY-MM-DD') AS date, type, SUM(amount) AS total
+       FROM balance_transactions
+       WHERE user_id = $1 AND account = 'available' AND NOT (type = ANY($2))
+         AND ($4::timestamptz IS NULL OR created_at >= $4)
+         AND ($5::timestamptz IS NULL OR created_at < $5)
+       GROUP BY 1, 2`,
+      [userId, NON_EARNING_TYPES, this.config.timezone, range.start, range.end]
+    );
+    return result.rows.map(row => ({ date: row.date, type: row.type, total: parseFloat(row.total) }));
+  }
+
+  /**
+   * One bucket per local date from range.from to range.to, days without earnings included
+   */
+  _dailySeries(rows, range) {
+    const days = (Date.parse(range.to) - Date.parse(range.from)) / DAY_MS + 1;
+    if (days > this.config.maxSeriesDays) {
+      throw balanceError('INVALID_PERIOD', `Daily series are limited to ${this.config.maxSeriesDays} days`);
+    }
+
+    const series = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(Date.parse(range.from) + i * DAY_MS).toISOString().slice(0, 10);
+      series.push({ date, ...sumEarnings(rows.filter(row => row.date === date)) });
+    }
+    return series;
+  }
+
+  /**
+   * Write one balanced journal entry and update the user's materialized balance
+   * The user_balances row is locked first, so concurrent postings for a user serialize
+   * System accounts aren't materialized - locking them would serialize every user
+   *
+   * Postings with a referenceId are idempotent per user on type and reference (or an
+   * explicit idempotencyKey): a replay returns the original transaction, and a replay
+   * with a different amount fails with IDEMPOTENCY_CONFLICT. The account isn't part of
+   * the key, so an earning replayed after it went to pending (or was released) can't pay again
+   *
+   * revenueShare is the revenue-share audit behind an earning, kept on its transaction row
+   */
+  async _post(userId, {
+    type = 'other', description = null, referenceId = null, idempotencyKey = null,
+    account, lines, allowNegative = false, availableAt = null, revenueShare = null, client = null
+  }) {
+    if (lines.reduce((sum, line) => sum + line.cents, 0) !== 0) {
+      throw new Error('Unbalanced journal entry');
+    }
+
+    const amount = lines.filter(line => line.account === account).reduce((sum, line) => sum + line.cents, 0);
+    const key = idempotencyKey || (referenceId ? `${type}:${referenceId}` : null);
+
+    return this._inTransaction(client, async (tx) => {
+      await tx.query('INSERT INTO user_balances (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING', [userId]);
+      const locked = await tx.query('SELECT * FROM user_balances WHERE user_id = $1 FOR UPDATE', [userId]);
+      const current = locked.rows[0];
+
+      if (key) {
+        const original = await tx.query(
+          'SELECT * FROM balance_transactions WHERE user_id = $1 AND idempotency_key = $2',
+          [userId, key]
+        );
+        if (original.rows[0]) {
+          return this._replay(original.rows[0], { type, account, cents: amount });
+        }
+      }
+
+      const next = {};
+      for (const code of USER_ACCOUNTS) {
+        next[code] = this._cents(current[code], true);
+      }
+      for (const line of lines) {
+        if (USER_ACCOUNTS.includes(line.account)) next[line.account] += line.cents;
+      }
+
+      // A clawed-back negative balance can still take credits, just not further debits
+      const change = next.available - this._cents(current.available, true);
+      if (change < 0 && next.available < 0 && !allowNegative) {
+        throw balanceError('INSUFFICIENT_BALANCE', 'Insufficient balance');
+      }
+      if (next.pending < 0 || next.held < 0) {
+        throw balanceError('INSUFFICIENT_BALANCE', `Insufficient ${next.pending < 0 ? 'pending' : 'held'} balance`);
+      }
+
+      // Lifetime earnings only grow - reversals and cashouts don't take them back
+      const lifetime = this._cents(current.lifetime_earnings, true) +
+        (change > 0 && !NON_EARNING_TYPES.includes(type) ? change : 0);
+
+      await tx.query(
+        `UPDATE user_balances SET available = $2, pending = $3, held = $4, lifetime_earnings = $5, updated_at = NOW()
+         WHERE user_id = $1`,
+        [userId, next.available / 100, next.pending / 100, next.held / 100, lifetime / 100]
+      );
+
+      const txn = await tx.query(
+        `INSERT INTO balance_transactions
+           (user_id, type, account, amount, description, reference_id, balance_after, idempotency_key, available_at,
+            revenue_share)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [userId, type, account, amount / 100, description, referenceId, next[account] / 100, key, availableAt, revenueShare]
+      );
+
+      const accountIds = await this._accountIds(tx, userId);
+      await tx.query(
+        `INSERT INTO ledger_entries (transaction_id, account_id, amount)
+         SELECT $1, unnest($2::integer[]), unnest($3::numeric[])`,
+        [txn.rows[0].id, lines.map(line => accountIds[line.account]), lines.map(line => line.cents / 100)]
+      );
+
+      return this._formatTransaction(txn.rows[0]);
+    });
+  }
+
+  /**
+   * Lock an unsettled pending earning, run fn(pending, tx) and mark it settled
+   */
+  async _settlePending(pendingId, client, fn) {
+    return this._inTransaction(client, async (tx) => {
+      const locked = await tx.query(
+        `SELECT * FROM balance_transactions
+         WHERE id = $1 AND account = 'pending' AND amount > 0 AND settled_at IS NULL
+         FOR UPDATE`,
+        [pendingId]
+      );
+      if (!locked.rows[0]) return null;
+
+      const transaction = await fn(locked.rows[0], tx);
+      await tx.query('UPDATE balance_transactions SET settled_at = NOW() WHERE id = $1', [pendingId]);
+      return transaction;
+    });
+  }
+
+  /**
+   * The original transaction for a replayed posting - only if it moved the same money
+   * An earning may land in pending or available depending on the hold policy at the time,
+   * so either counts as the same posting
+   */
+  _replay(row, { type, account, cents }) {
+    const original = this._formatTransaction(row);
+    const earningAccounts = ['available', 'pending'];
+    const sameAccount = row.account === account ||
+      (earningAccounts.includes(row.account) && earningAccounts.includes(account));
+    if (row.type !== type || !sameAccount || this._cents(row.amount, true) !== cents) {
+      throw balanceError(
+        'IDEMPOTENCY_CONFLICT',
+        `Already used by transaction ${row.id} (${row.type} ${original.amount.toFixed(2)} on ${row.account})`,
+        { transaction: original }
+      );
+    }
+    return { ...original, replayed: true };
+  }
+
+  /**
+   * Ledger account ids by code - the user's own accounts plus the system ones, created on first use
+   */
+  async _accountIds(tx, userId) {
+    const select = () => tx.query(
+      `SELECT id, code FROM ledger_accounts
+       WHERE (user_id = $1 AND code = ANY($2)) OR (user_id IS NULL AND code = ANY($3))`,
+      [userId, USER_ACCOUNTS, SYSTEM_ACCOUNTS]
+    );
+
+    let result = await select();
+    if (result.rows.length < USER_ACCOUNTS.length + SYSTEM_ACCOUNTS.length) {
+      await tx.query(
+        `INSERT INTO ledger_accounts (user_id, code)
+         SELECT $1::integer, unnest($2::varchar[])
+         UNION ALL
+         SELECT NULL, unnest($3::varchar[])
+         ON CONFLICT DO NOTHING`,
+        [userId, USER_ACCOUNTS, SYSTEM_ACCOUNTS]
+      );
+      result = await select();
+    }
+
+    return Object.fromEntries(result.rows.map(row => [row.code, row.id]));
+  }
+
+  /**
+   * System account a transaction posts against - options.contraAccount overrides the type default
+   */
+  _contraAccount({ type, contraAccount } = {}) {
+    const code = contraAccount || CONTRA_ACCOUNTS[type] || DEFAULT_CONTRA_ACCOUNT;
+    if (!SYSTEM_ACCOUNTS.includes(code)) {
+      throw new Error(`Unknown ledger account: ${code}`);
+    }
+    return code;
+  }
+
+  /**
+   * Amount in whole cents - stored balances may be zero or negative, posted amounts must be positive
+   */
+  _cents(amount, stored = false) {
+    const cents = Math.round((parseFloat(amount) || 0) * 100);
+    if (!stored && !(cents > 0)) {
+      throw new Error('Amount must be positive');
+    }
+    return cents;
+  }
+
+  /**
+   * Run fn with a transaction client - reuses the caller's client if given
+   */
+  async _inTransaction(client, fn) {
+    if (client) {
+      return fn(client);
+    }
+
+    const tx = await db.pool.connect();
+    try {
+      await tx.query('BEGIN');
+      const result = await fn(tx);
+      await tx.query('COMMIT');
+      return result;
+    } catch (err) {
+      await tx.query('ROLLBACK');
+      throw err;
+    } finally {
+      tx.release();
+    }
+  }
+
+  /**
+   * Format transaction row for API responses
+   */
+  _formatTransaction(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      account: row.account,
+      amount: parseFloat(row.amount),
+      description: row.description,
+      referenceId: row.reference_id,
+      balanceAfter: parseFloat(row.balance_after),
+      availableAt: row.available_at || null,
+      settledAt: row.settled_at || null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+/**
+ * Category totals (plus total) from { type, total } rows
+ */
+function sumEarnings(rows) {
+  const earnings = { other: 0 };
+  for (const category of Object.keys(EARNING_CATEGORIES)) {
+    earnings[category] = 0;
+  }
+
+  let total = 0;
+  for (const row of rows) {
+    const category = Object.keys(EARNING_CATEGORIES).find(c => EARNING_CATEGORIES[c].includes(row.type)) || 'other';
+    earnings[category] = Math.round((earnings[category] + row.total) * 100) / 100;
+    total += row.total;
+  }
+
+  return { ...earnings, total: Math.round(total * 100) / 100 };
+}
+
+/**
+ * Opaque page cursor - the id of the last transaction on the page
+ */
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Number.isInteger(id)) return id;
+  } catch (err) {
+    // Fall through to the error below
+  }
+  throw balanceError('INVALID_FILTER', 'Invalid cursor');
+}
+
+/**
+ * A real calendar date as YYYY-MM-DD (2026-02-30 is not)
+ */
+function isDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = Date.parse(value);
+  return !isNaN(parsed) && new Date(parsed).toISOString().slice(0, 10) === value;
+}
+
+function balanceError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+module.exports = BalanceService;
+module.exports.EARNING_CATEGORIES = EARNING_CATEGORIES;
+module.exports.SYSTEM_ACCOUNTS = SYSTEM_ACCOUNTS;
@@ -0,0 +1,347 @@
+/**
+ * Dormant Balance Expiry
+ * Warns inactive users in stages, then expires their available balance with a reversible ledger entry
+ */
+
+const cron = require('node-cron');
+const db = require('../database/db');
+const notifications = require('../../notifications/services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DormancyService {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      enabled: false,
+      cron: '0 4 * * *',
+      // Days without a login, streak check-in or survey before the balance expires
+      dormantDays: 365,
+      // Warnings, each sent once this many days before expiry
+      notices: [
+        { stage: 'warning', daysBefore: 30 },
+        { stage: 'final', daysBefore: 7 }
+      ],
+      // Minimum days between one notice and the next step, so late-found accounts still get every warning
+      noticeGapDays: 7,
+      // Balances below this aren't worth expiring
+      minBalance: 0.01,
+      batchSize: 500,
+      currencySymbol: '$',
+      ...config
+    };
+    this.balanceService = deps.balanceService;
+    this.notifier = deps.notifier || notifications;
+  }
+
+  /**
+   * What run() would do right now - nothing is sent or posted
+   */
+  async preview() {
+    const plan = await this._plan();
+    return { generatedAt: new Date(), policy: this._policy(), ...summarize(plan), accounts: plan };
+  }
+
+  /**
+   * Send due notices and expire balances whose warnings have all gone out
+   * Each account is handled on its own - one failure doesn't stop the rest
+   */
+  async run() {
+    const plan = await this._plan();
+    const results = [];
+
+    for (const account of plan) {
+      try {
+        if (account.action === 'expire') {
+          const expiry = await this._expire(account);
+          results.push({ ...account, expiryId: expiry ? expiry.id : null, skipped: !expiry });
+        } else {
+          await this._notify(account);
+          results.push(account);
+        }
+      } catch (err) {
+        console.error(`Dormancy error (user ${account.userId}):`, err.message);
+        results.push({ ...account, error: err.message });
+      }
+    }
+
+    return { ranAt: new Date(), ...summarize(results.filter(r => !r.error && !r.skipped)), accounts: results };
+  }
+
+  /**
+   * Run the dormancy pass on the configured cron schedule
+   */
+  schedule() {
+    if (!this.config.enabled) return null;
+    return cron.schedule(this.config.cron, async () => {
+      try {
+        const { notices, expired } = await this.run();
+        if (notices + expired > 0) console.log(`💤 Dormancy: ${notices} notice(s), ${expired} balance(s) expired`);
+      } catch (err) {
+        console.error('Dormancy run error:', err.message);
+      }
+    });
+  }
+
+  /**
+   * Undo an expiry, crediting the amount back - replays return the original reinstatement
+   */
+  async reinstate(expiryId, adminId) {
+    return this._inTransaction(async (tx) => {
+      const locked = await tx.query('SELECT * FROM balance_expiries WHERE id = $1 FOR UPDATE', [expiryId]);
+      const expiry = locked.rows[0];
+      if (!expiry) throw dormancyError('EXPIRY_NOT_FOUND', 'Expiry not found');
+      if (expiry.reinstated_at) throw dormancyError('ALREADY_REINSTATED', 'Expiry was already reinstated');
+
+      const transaction = await this.balanceService.credit(
+        expiry.user_id,
+        parseFloat(expiry.amount),
+        'Dormant balance reinstated',
+        { type: 'dormancy_reinstatement', referenceId: `balance_expiry:${expiry.id}`, client: tx }
+      );
+      const updated = await tx.query(
+        `UPDATE balance_expiries
+         SET reinstated_at = NOW(), reinstated_by = $2, reinstatement_transaction_id = $3
+         WHERE id = $1
+         RETURNING *`,
+        [expiry.id, adminId, transaction.id]
+      );
+      return { ...this._format(updated.rows[0]), transaction };
+    });
+  }
+
+  async listExpiries({ userId, limit = 50 } = {}) {
+    const result = await db.query(
+      `SELECT * FROM balance_expiries
+       WHERE ($1::integer IS NULL OR user_id = $1)
+       ORDER BY id DESC
+       LIMIT $2`,
+      [userId || null, limit]
+    );
+    return result.rows.map(row => this._format(row));
+  }
+
+  /**
+   * Dormant accounts with a balance and the next step for each, up to batchSize of them
+   * Activity is the latest of sign-up, login, streak check-in and survey start;
+   * notices are tied to that activity, so any new activity starts the warnings over,
+   * and a balance expires (or is reinstated) at most once per stretch of inactivity
+   * Accounts with nothing due yet (inside the notice gap, or holding a cashout) are paged past,
+   * so they can't fill the batch and starve the accounts behind them
+   */
+  async _plan() {
+    const plan = [];
+    let after = null;
+
+    while (plan.length < this.config.batchSize) {
+      const rows = await this._dormantAccounts(after);
+      if (rows.length === 0) break;
+
+      const sent = await db.query(
+        `SELECT user_id, stage, sent_at FROM dormancy_notices
+         WHERE user_id = ANY($1)
+         ORDER BY sent_at`,
+        [rows.map(row => row.user_id)]
+      );
+
+      for (const row of rows) {
+        const lastActivity = new Date(row.last_activity_at);
+        const notices = sent.rows.filter(n => n.user_id === row.user_id && new Date(n.sent_at) >= lastActivity);
+        const step = this._nextStep(row, lastActivity, notices);
+        if (step && plan.length < this.config.batchSize) plan.push(step);
+      }
+
+      if (rows.length < this.config.batchSize) break;
+      const last = rows[rows.length - 1];
+      after = { lastActivityAt: last.last_activity_at, userId: last.user_id };
+    }
+    return plan;
+  }
+
+  /**
+   * One page of dormant accounts with a balance, longest inactive first, after the given account
+   * Activity is truncated to milliseconds so the page cursor round-trips through a JS Date
+   */
+  async _dormantAccounts(after) {
+    const firstNoticeDays = this.config.dormantDays - Math.max(0, ...this.config.notices.map(n => n.daysBefore));
+    const result = await db.query(
+      `SELECT * FROM (
+         SELECT u.id AS user_id, u.email, ub.available, ub.held,
+           date_trunc('milliseconds', GREATEST(u.created_at, u.last_login_at, c.last_checkin, s.last_survey)) AS last_activity_at
+         FROM user_balances ub
+         JOIN users u ON u.id = ub.user_id
+         LEFT JOIN LATERAL (
+           SELECT MAX(checkin_date)::timestamp AS last_checkin FROM streak_checkins WHERE user_id = u.id
+         ) c ON true
+         LEFT JOIN LATERAL (
+           SELECT MAX(started_at) AS last_survey FROM survey_sessions WHERE user_id = u.id
+         ) s ON true
+         WHERE ub.available >= $1
+       ) accounts
+       WHERE last_activity_at <= NOW() - make_interval(days => $2)
+         AND ($4::timestamp IS NULL OR (last_activity_at, user_id) > ($4::timestamp, $5::integer))
+         AND NOT EXISTS (
+           SELECT 1 FROM balance_expiries e
+           WHERE e.user_id = accounts.user_id AND e.last_activity_at >= accounts.last_activity_at
+         )
+       ORDER BY last_activity_at, user_id
+       LIMIT $3`,
+      [
+        this.config.minBalance,
+        firstNoticeDays,
+        this.config.batchSize,
+        after ? after.lastActivityAt : null,
+        after ? after.userId : null
+      ]
+    );
+    return result.rows;
+  }
+
+  /**
+   * The one thing due for an account now: the earliest unsent notice, or expiry once all were sent
+   */
+  _nextStep(row, lastActivity, notices) {
+    const now = Date.now();
+    const inactiveDays = Math.floor((now - lastActivity.getTime()) / DAY_MS);
+    const lastNotice = notices[notices.length - 1];
+    if (lastNotice && now - new Date(lastNotice.sent_at).getTime() < this.config.noticeGapDays * DAY_MS) {
+      return null;
+    }
+
+    const base = {
+      userId: row.user_id,
+      email: row.email,
+      available: parseFloat(row.available),
+      held: parseFloat(row.held),
+      lastActivityAt: lastActivity,
+      inactiveDays
+    };
+    const stages = [...this.config.notices].sort((a, b) => b.daysBefore - a.daysBefore);
+    const due = stages.find(n =>
+      inactiveDays >= this.config.dormantDays - n.daysBefore && !notices.some(s => s.stage === n.stage)
+    );
+    if (due) {
+      // A late warning still gives the full notice period
+      const expiresAt = new Date(Math.max(
+        lastActivity.getTime() + this.config.dormantDays * DAY_MS,
+        now + (stages.length - stages.indexOf(due)) * this.config.noticeGapDays * DAY_MS
+      ));
+      return { ...base, action: 'notice', stage: due.stage, expiresAt };
+    }
+
+    // A cashout in flight holds funds - wait for it to settle
+    if (inactiveDays >= this.config.dormantDays && base.held === 0) {
+      return { ...base, action: 'expire', amount: base.available };
+    }
+    return null;
+  }
+
+  async _notify(account) {
+    const { currencySymbol } = this.config;
+    const expires = account.expiresAt.toISOString().slice(0, 10);
+    await this.notifier.notifyUser(
+      account.userId,
+      `Your ${currencySymbol}${account.available.toFixed(2)} balance expires on ${expires} after ` +
+        `${this.config.dormantDays} days of inactivity. Log in or take a survey to keep it.`,
+      'balance_expiry_warning'
+    );
+    await db.query(
+      'INSERT INTO dormancy_notices (user_id, stage, last_activity_at, expires_at) VALUES ($1, $2, $3, $4)',
+      [account.userId, account.stage, account.lastActivityAt, account.expiresAt]
+    );
+  }
+
+  /**
+   * Debit the whole available balance to expired_balances and record the expiry
+   * Returns null if the balance changed or activity resumed since the plan was made
+   */
+  async _expire(account) {
+    const expiry = await this._inTransaction(async (tx) => {
+      const locked = await tx.query('SELECT available FROM user_balances WHERE user_id = $1 FOR UPDATE', [account.userId]);
+      const available = parseFloat(locked.rows[0].available);
+      if (available !== account.available) return null;
+
+      const transaction = await this.balanceService.debit(
+        account.userId,
+        available,
+        `Balance expired after ${account.inactiveDays} days of inactivity`,
+        {
+          type: 'dormancy_expiry',
+          referenceId: `dormancy:${account.lastActivityAt.toISOString()}`,
+          client: tx
+        }
+      );
+      const inserted = await tx.query(
+        `INSERT INTO balance_expiries (user_id, amount, last_activity_at, transaction_id)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [account.userId, available, account.lastActivityAt, transaction.id]
+      );
+      return this._format(inserted.rows[0]);
+    });
+
+    if (expiry) {
+      await this.notifier.notifyUser(
+        account.userId,
+        `Your ${this.config.currencySymbol}${expiry.amount.toFixed(2)} balance expired after ` +
+          `${account.inactiveDays} days of inactivity. Contact support if you think this is a mistake.`,
+        'balance_expired'
+      );
+    }
+    return expiry;
+  }
+
+  _policy() {
+    const { dormantDays, notices, noticeGapDays, minBalance } = this.config;
+    return { dormantDays, notices, noticeGapDays, minBalance };
+  }
+
+  async _inTransaction(fn) {
+    const tx = await db.pool.connect();
+    try {
+      await tx.query('BEGIN');
+      const result = await fn(tx);
+      await tx.query('COMMIT');
+      return result;
+    } catch (err) {
+      await tx.query('ROLLBACK');
+      throw err;
+    } finally {
+      tx.release();
+    }
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      amount: parseFloat(row.amount),
+      lastActivityAt: row.last_activity_at,
+      transactionId: row.transaction_id,
+      expiredAt: row.created_at,
+      reinstatedAt: row.reinstated_at || null,
+      reinstatedBy: row.reinstated_by || null,
+      reinstatementTransactionId: row.reinstatement_transaction_id || null
+    };
+  }
+}
+
+/**
+ * Counts and amounts by step
+ */
+function summarize(accounts) {
+  const notices = accounts.filter(a => a.action === 'notice');
+  const expiries = accounts.filter(a => a.action === 'expire');
+  return {
+    notices: notices.length,
+    expired: expiries.length,
+    expiredAmount: Math.round(expiries.reduce((sum, a) => sum + a.available, 0) * 100) / 100
+  };
+}
+
+function dormancyError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = DormancyService;
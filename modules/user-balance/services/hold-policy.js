@@ -0,0 +1,88 @@
+/**
+ * Hold Policy
+ * Decides how long new earnings stay pending before they become available, from brain.json rules
+ */
+
+const db = require('../database/db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HoldPolicy {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      // Base hold in days by transaction type - providers can reverse these for weeks
+      days: { survey: 3, offer: 30 },
+      defaultDays: 0,
+      // First tier the user's account age reaches scales the base hold
+      tenure: [
+        { minDays: 180, multiplier: 0.25 },
+        { minDays: 30, multiplier: 0.5 }
+      ],
+      // First tier the user's fraud risk score reaches adds days, even to types with no base hold
+      risk: [
+        { minScore: 70, extraDays: 30 },
+        { minScore: 30, extraDays: 7 }
+      ],
+      maxDays: 60,
+      ...config
+    };
+    this.fraudService = deps.fraudService || null;
+  }
+
+  /**
+   * Hold for a user's earning, looking up their tenure and risk score
+   * baseDays replaces the type's base hold (e.g. an offer's own pending period)
+   */
+  async forUser(userId, { type, baseDays } = {}, client = null) {
+    const [tenureDays, riskScore] = await Promise.all([
+      this.getTenureDays(userId, client),
+      this.getRiskScore(userId)
+    ]);
+    return this.resolve({ type, baseDays, tenureDays, riskScore });
+  }
+
+  /**
+   * Whole days since the user signed up
+   */
+  async getTenureDays(userId, client = null) {
+    const result = await (client || db).query('SELECT created_at FROM users WHERE id = $1', [userId]);
+    if (!result.rows[0] || !result.rows[0].created_at) return 0;
+    return Math.floor((Date.now() - new Date(result.rows[0].created_at).getTime()) / DAY_MS);
+  }
+
+  /**
+   * Fraud risk score - 0 without a fraud service, or if it fails
+   */
+  async getRiskScore(userId) {
+    if (!this.fraudService || !this.fraudService.getUserRiskScore) return 0;
+
+    try {
+      return await this.fraudService.getUserRiskScore(userId);
+    } catch (err) {
+      console.error('Hold policy risk score error:', err.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Apply the policy to { type, baseDays, tenureDays, riskScore }
+   * Returns the hold in days and when the earning becomes available (null if immediately)
+   */
+  resolve({ type, baseDays, tenureDays = 0, riskScore = 0, at = new Date() } = {}) {
+    const base = baseDays !== undefined && baseDays !== null
+      ? Number(baseDays)
+      : this.config.days[type] ?? this.config.defaultDays;
+
+    const tenure = this.config.tenure.find(t => tenureDays >= t.minDays);
+    const risk = this.config.risk.find(r => riskScore >= r.minScore);
+    const multiplier = tenure ? Number(tenure.multiplier) : 1;
+    const extraDays = risk ? Number(risk.extraDays) : 0;
+
+    const days = Math.round(Math.min(base * multiplier + extraDays, this.config.maxDays) * 100) / 100;
+    const availableAt = days > 0 ? new Date(new Date(at).getTime() + days * DAY_MS) : null;
+
+    return { days, availableAt, baseDays: base, tenureDays, multiplier, riskScore, extraDays };
+  }
+}
+
+module.exports = HoldPolicy;
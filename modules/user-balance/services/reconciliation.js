@@ -0,0 +1,407 @@
+/**
+ * Ledger Reconciliation
+ * Nightly comparison of the ledger against provider revenue and payout-provider reports
+ */
+
+const { Readable } = require('stream');
+const cron = require('node-cron');
+const ExcelJS = require('exceljs');
+const db = require('../database/db');
+
+// Where each report source's completions are recorded, and the ledger type they credit
+const REVENUE_SOURCES = {
+  survey: { table: 'survey_postbacks', type: 'survey' },
+  offer: { table: 'offer_postbacks', type: 'offer' }
+};
+const REPORT_SOURCES = [...Object.keys(REVENUE_SOURCES), 'payout'];
+
+// Payout report statuses where the money never reached the user
+const FAILED_PAYOUT_STATUSES = ['failed', 'returned', 'cancelled'];
+
+// Report dates as YYYY-MM-DD rather than midnight in the server's timezone
+const REPORT_COLUMNS = `id, report_date::text AS report_date, status, mismatch_count, summary, mismatches,
+  created_at, updated_at`;
+
+class ReconciliationService {
+  constructor(config = {}) {
+    this.config = {
+      // Runs after midnight in the business timezone and reconciles the day before
+      cron: '30 2 * * *',
+      timezone: 'America/New_York',
+      // Differences smaller than this are rounding, not mismatches
+      amountTolerance: 0.01,
+      ...config
+    };
+  }
+
+  /**
+   * Import a provider's CSV report - columns transaction_id, user_id, amount, status and date
+   * (YYYY-MM-DD or a timestamp); options.reportDate covers files without a date column
+   * Re-importing a row updates it
+   */
+  async importReport(source, provider, csv, { reportDate = null } = {}) {
+    if (!REPORT_SOURCES.includes(source)) {
+      throw reconciliationError('INVALID_REPORT', `source must be one of ${REPORT_SOURCES.join(', ')}`);
+    }
+    if (!provider) throw reconciliationError('INVALID_REPORT', 'provider is required');
+
+    const rows = await parseCsv(csv);
+    const missing = ['transaction_id', 'amount', 'status'].filter(column => !(column in (rows[0] || {})));
+    if (rows.length === 0 || missing.length > 0) {
+      throw reconciliationError('INVALID_REPORT', `Report needs a header row with ${missing.join(', ') || 'data rows'}`);
+    }
+
+    let imported = 0;
+    for (const [index, row] of rows.entries()) {
+      const amount = Number(row.amount);
+      const date = String(row.date || reportDate || '');
+      if (!row.transaction_id || !Number.isFinite(amount) || !row.status || isNaN(Date.parse(date))) {
+        throw reconciliationError('INVALID_REPORT', `Row ${index + 2} needs transaction_id, amount, status and date`);
+      }
+
+      // Timestamps land on their business-timezone day, plain dates as given
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(date);
+      await db.query(
+        `INSERT INTO provider_report_rows (source, provider, external_id, user_id, amount, status, report_date)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::date, ($8::timestamptz AT TIME ZONE $9)::date))
+         ON CONFLICT (source, provider, external_id, status)
+         DO UPDATE SET user_id = EXCLUDED.user_id, amount = EXCLUDED.amount,
+           report_date = EXCLUDED.report_date, imported_at = NOW()`,
+        [
+          source,
+          provider,
+          String(row.transaction_id),
+          row.user_id ? parseInt(row.user_id) : null,
+          amount,
+          String(row.status).toLowerCase(),
+          dateOnly ? date : null,
+          dateOnly ? null : date,
+          this.config.timezone
+        ]
+      );
+      imported++;
+    }
+
+    return { source, provider, imported };
+  }
+
+  /**
+   * Reconcile one business day (YYYY-MM-DD, default yesterday) and store the report
+   * Providers without an imported report for the day are totalled but not checked against one
+   */
+  async run(date = null) {
+    const reportDate = assertDate(date || await this._yesterday());
+
+    const summary = {};
+    const mismatches = [];
+    for (const source of Object.keys(REVENUE_SOURCES)) {
+      summary[source] = await this._reconcileRevenue(source, reportDate, mismatches);
+    }
+    summary.payout = await this._reconcilePayouts(reportDate, mismatches);
+
+    const result = await db.query(
+      `INSERT INTO reconciliation_reports (report_date, status, mismatch_count, summary, mismatches)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (report_date)
+       DO UPDATE SET status = EXCLUDED.status, mismatch_count = EXCLUDED.mismatch_count,
+         summary = EXCLUDED.summary, mismatches = EXCLUDED.mismatches, updated_at = NOW()
+       RETURNING ${REPORT_COLUMNS}`,
+      [
+        reportDate,
+        mismatches.length === 0 ? 'balanced' : 'mismatched',
+        mismatches.length,
+        JSON.stringify(summary),
+        JSON.stringify(mismatches)
+      ]
+    );
+    return this._format(result.rows[0]);
+  }
+
+  /**
+   * Run the day-before reconciliation on the configured cron schedule
+   */
+  schedule() {
+    return cron.schedule(this.config.cron, async () => {
+      try {
+        const report = await this.run();
+        console.log(`🧾 Reconciled ${report.reportDate}: ${report.mismatchCount} mismatch(es)`);
+      } catch (err) {
+        console.error('Reconciliation error:', err.message);
+      }
+    }, { timezone: this.config.timezone });
+  }
+
+  /**
+   * Recent reports without their mismatch lists, newest first
+   */
+  async listReports(limit = 30) {
+    const result = await db.query(
+      `SELECT ${REPORT_COLUMNS} FROM reconciliation_reports ORDER BY report_date DESC LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(row => {
+      const { mismatches, ...report } = this._format(row);
+      return report;
+    });
+  }
+
+  async getReport(date) {
+    const result = await db.query(
+      `SELECT ${REPORT_COLUMNS} FROM reconciliation_reports WHERE report_date = $1`,
+      [assertDate(date)]
+    );
+    return result.rows[0] ? this._format(result.rows[0]) : null;
+  }
+
+  /**
+   * Completions we recorded and credited against the provider's report of the same day
+   * Ledger credits are the transactions that drew on provider_receivable for a reference
+   */
+  async _reconcileRevenue(source, reportDate, mismatches) {
+    const { table, type } = REVENUE_SOURCES[source];
+
+    const ours = await db.query(
+      `SELECT provider, transaction_id, user_id, provider_payout, user_payout
+       FROM ${table}
+       WHERE status = 'completed' AND (created_at::timestamptz AT TIME ZONE $2)::date = $1`,
+      [reportDate, this.config.timezone]
+    );
+    const reported = await this._reportRows(source, reportDate);
+
+    const refs = [...new Set([
+      ...ours.rows.map(row => `${row.provider}:${row.transaction_id}`),
+      ...reported.map(row => `${row.provider}:${row.external_id}`)
+    ])];
+    const ledger = await this._ledgerByReference(refs, [type, `${type}_reversal`], 'provider_receivable');
+
+    const completions = indexBy(ours.rows, row => `${row.provider}:${row.transaction_id}`);
+    const report = indexBy(reported, row => `${row.provider}:${row.external_id}:${row.status}`);
+    const providers = this._providerSummary(
+      [...ours.rows.map(row => row.provider), ...reported.map(row => row.provider)],
+      reported,
+      { providerPayout: 0, credited: 0 }
+    );
+    const flag = (mismatch) => mismatches.push({ source, ...mismatch });
+
+    for (const [ref, row] of completions) {
+      const summary = providers[row.provider];
+      const credited = ledger[ref] || { credits: 0, net: 0 };
+      summary.count++;
+      summary.providerPayout = round(summary.providerPayout + parseFloat(row.provider_payout));
+      summary.credited = round(summary.credited + credited.net);
+
+      if (credited.credits > 1) {
+        flag({ type: 'double_credit', provider: row.provider, transactionId: row.transaction_id, userId: row.user_id, credits: credited.credits });
+      }
+      if (parseFloat(row.user_payout) > 0 && credited.credits === 0) {
+        flag({ type: 'uncredited_completion', provider: row.provider, transactionId: row.transaction_id, userId: row.user_id, expected: parseFloat(row.user_payout) });
+      }
+      if (!summary.reported) continue;
+
+      const match = report.get(`${ref}:completed`);
+      if (!match) {
+        flag({ type: 'unreported_completion', provider: row.provider, transactionId: row.transaction_id, userId: row.user_id, actual: parseFloat(row.provider_payout) });
+      } else if (Math.abs(parseFloat(match.amount) - parseFloat(row.provider_payout)) >= this.config.amountTolerance) {
+        flag({ type: 'amount_mismatch', provider: row.provider, transactionId: row.transaction_id, userId: row.user_id, expected: parseFloat(match.amount), actual: parseFloat(row.provider_payout) });
+      }
+    }
+
+    for (const row of reported) {
+      const ref = `${row.provider}:${row.external_id}`;
+      const summary = providers[row.provider];
+      if (row.status === 'completed') {
+        summary.reportCount++;
+        summary.reportTotal = round(summary.reportTotal + parseFloat(row.amount));
+        if (!completions.has(ref)) {
+          flag({ type: 'missing_postback', provider: row.provider, transactionId: row.external_id, userId: row.user_id, expected: parseFloat(row.amount) });
+        }
+      } else if (row.status === 'reversed' && ledger[ref] && ledger[ref].net > 0) {
+        flag({ type: 'missed_reversal', provider: row.provider, transactionId: row.external_id, userId: row.user_id, actual: ledger[ref].net });
+      }
+    }
+
+    return providers;
+  }
+
+  /**
+   * Cashouts the ledger paid out against the payout providers' reports of the same day
+   * Payouts are posted to the payouts account referenced as provider:payoutTransactionId
+   */
+  async _reconcilePayouts(reportDate, mismatches) {
+    const paid = await db.query(
+      `SELECT bt.reference_id, bt.user_id
+       FROM balance_transactions bt
+       JOIN ledger_entries le ON le.transaction_id = bt.id
+       JOIN ledger_accounts la ON la.id = le.account_id AND la.user_id IS NULL AND la.code = 'payouts'
+       WHERE bt.reference_id LIKE '%:%' AND le.amount > 0
+         AND (bt.created_at::timestamptz AT TIME ZONE $2)::date = $1`,
+      [reportDate, this.config.timezone]
+    );
+    const reported = await this._reportRows('payout', reportDate);
+
+    const refs = [...new Set([...paid.rows.map(row => row.reference_id), ...reported.map(row => `${row.provider}:${row.external_id}`)])];
+    const ledger = await this._ledgerByReference(refs, null, 'payouts');
+
+    const report = indexBy(reported.filter(row => !FAILED_PAYOUT_STATUSES.includes(row.status)), row => `${row.provider}:${row.external_id}`);
+    const failed = indexBy(reported.filter(row => FAILED_PAYOUT_STATUSES.includes(row.status)), row => `${row.provider}:${row.external_id}`);
+    const debited = indexBy(paid.rows, row => row.reference_id);
+    const providers = this._providerSummary(
+      [...paid.rows.map(row => providerOf(row.reference_id)), ...reported.map(row => row.provider)],
+      reported,
+      { paid: 0 }
+    );
+    const flag = (mismatch) => mismatches.push({ source: 'payout', ...mismatch });
+
+    for (const [ref, row] of debited) {
+      const provider = providerOf(ref);
+      const summary = providers[provider];
+      const entry = ledger[ref];
+      const transactionId = ref.slice(provider.length + 1);
+      summary.count++;
+      summary.paid = round(summary.paid + entry.net);
+
+      if (entry.credits > 1) {
+        flag({ type: 'double_debit', provider, transactionId, userId: row.user_id, debits: entry.credits });
+      }
+      if (!summary.reported) continue;
+
+      const match = report.get(ref);
+      if (!match) {
+        flag({ type: failed.has(ref) ? 'failed_payout_debited' : 'debit_without_payout', provider, transactionId, userId: row.user_id, actual: entry.net });
+      } else if (Math.abs(parseFloat(match.amount) - entry.net) >= this.config.amountTolerance) {
+        flag({ type: 'amount_mismatch', provider, transactionId, userId: row.user_id, expected: parseFloat(match.amount), actual: entry.net });
+      }
+    }
+
+    for (const [ref, row] of report) {
+      const summary = providers[row.provider];
+      summary.reportCount++;
+      summary.reportTotal = round(summary.reportTotal + parseFloat(row.amount));
+      if (!ledger[ref] || ledger[ref].net <= 0) {
+        flag({ type: 'payout_without_debit', provider: row.provider, transactionId: row.external_id, userId: row.user_id, expected: parseFloat(row.amount) });
+      }
+    }
+
+    return providers;
+  }
+
+  async _reportRows(source, reportDate) {
+    const result = await db.query(
+      'SELECT * FROM provider_report_rows WHERE source = $1 AND report_date = $2 ORDER BY id',
+      [source, reportDate]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Per reference: how many transactions moved money out of the system account, and the net amount
+   * (positive = paid to the user), across all days
+   */
+  async _ledgerByReference(refs, types, systemAccount) {
+    if (refs.length === 0) return {};
+    const result = await db.query(
+      `SELECT bt.reference_id,
+         COUNT(*) FILTER (WHERE le.amount ${systemAccount === 'payouts' ? '>' : '<'} 0) AS credits,
+         SUM(le.amount) AS net
+       FROM balance_transactions bt
+       JOIN ledger_entries le ON le.transaction_id = bt.id
+       JOIN ledger_accounts la ON la.id = le.account_id AND la.user_id IS NULL AND la.code = $2
+       WHERE bt.reference_id = ANY($1) AND ($3::text[] IS NULL OR bt.type = ANY($3))
+       GROUP BY bt.reference_id`,
+      [refs, systemAccount, types]
+    );
+
+    // provider_receivable goes down as users are credited; payouts goes up as they're paid
+    const sign = systemAccount === 'payouts' ? 1 : -1;
+    const ledger = {};
+    for (const row of result.rows) {
+      ledger[row.reference_id] = { credits: parseInt(row.credits), net: round(sign * parseFloat(row.net)) };
+    }
+    return ledger;
+  }
+
+  /**
+   * Zeroed totals for each provider seen on either side - reported if they sent a report for the day
+   */
+  _providerSummary(providers, reported, totals) {
+    const summary = {};
+    for (const provider of providers) {
+      summary[provider] = summary[provider] || {
+        reported: reported.some(row => row.provider === provider),
+        count: 0,
+        ...totals,
+        reportCount: 0,
+        reportTotal: 0
+      };
+    }
+    return summary;
+  }
+
+  async _yesterday() {
+    const result = await db.query(
+      `SELECT ((NOW() AT TIME ZONE $1) - INTERVAL '1 day')::date::text AS day`,
+      [this.config.timezone]
+    );
+    return result.rows[0].day;
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      reportDate: row.report_date,
+      status: row.status,
+      mismatchCount: row.mismatch_count,
+      summary: row.summary,
+      mismatches: row.mismatches,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+/**
+ * CSV text to row objects keyed by lower-cased header, every value a trimmed string
+ */
+async function parseCsv(csv) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = await workbook.csv.read(Readable.from([String(csv || '')]), { map: value => value });
+
+  const rows = [];
+  let header = null;
+  sheet.eachRow((row) => {
+    const values = row.values.slice(1).map(value => (value === null || value === undefined ? '' : String(value).trim()));
+    if (!header) {
+      header = values.map(value => value.toLowerCase());
+      return;
+    }
+    rows.push(Object.fromEntries(header.map((column, i) => [column, values[i] || ''])));
+  });
+  return rows;
+}
+
+function indexBy(rows, keyFn) {
+  return new Map(rows.map(row => [keyFn(row), row]));
+}
+
+function providerOf(ref) {
+  return ref.split(':')[0];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function assertDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    throw reconciliationError('INVALID_DATE', 'date must be YYYY-MM-DD');
+  }
+  return date;
+}
+
+function reconciliationError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = ReconciliationService;
@@ -9,10 +9,14 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const mongoose = require('mongoose');
 require('dotenv').config();
 
 const app = express();
 
+// Railway terminates requests at its proxy - trust it so req.ip is the client
+app.set('trust proxy', 1);
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -29,6 +33,7 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 const authRoutes = require('./modules/auth/routes/auth.js');
 const surveysRoutes = require('./modules/surveys/routes/surveys.js');
+const offersRoutes = require('./modules/offers/routes/offers.js');
 const streaksRoutes = require('./modules/streaks/routes/streaks.js');
 const daily_spinRoutes = require('./modules/daily-spin/routes/spin.js');
 const achievementsRoutes = require('./modules/achievements/routes/achievements.js');
@@ -43,6 +48,7 @@ const onboardingRoutes = require('./modules/onboarding/routes/onboarding.js');
 // Register routes
 app.use('/api/auth', authRoutes);
 app.use('/api/surveys', surveysRoutes);
+app.use('/api/offers', offersRoutes);
 app.use('/api/streaks', streaksRoutes);
 app.use('/api/spin', daily_spinRoutes);
 app.use('/api/achievements', achievementsRoutes);
@@ -54,6 +60,59 @@ app.use('/api/fraud-detection', fraud_detectionRoutes);
 app.use('/api/payout-verification', payout_verificationRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 
+// ============================================
+// MODULE SERVICES (configured from brain.json)
+// ============================================
+
+const brain = require('./brain.json');
+const BalanceService = require('./modules/user-balance/services/balance');
+const { initFraudService, getFraudService } = require('./modules/fraud-detection/middleware/fraud-check');
+
+// Fraud events, verifications and onboarding progress are Mongo models
+if (process.env.MONGODB_URI) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log('✅ MongoDB connected');
+      return getFraudService().backfillUserIds()
+        .catch(err => console.error('Fraud event user id backfill failed:', err.message));
+    })
+    .catch(err => console.log('⚠️  MongoDB not connected -', err.message));
+}
+
+initFraudService({ ...(brain.fraud || {}), redisUrl: process.env.REDIS_URL });
+
+const balanceService = new BalanceService(
+  { currency: brain.business.currency, timezone: brain.business.timezone, ...(brain.balance || {}) },
+  { fraudService: getFraudService() }
+);
+balanceService.scheduleRelease();
+const onboardingService = onboardingRoutes.initService(brain.onboarding || {}, balanceService);
+const { reconciliationService, dormancyService } = user_balanceRoutes.initService(brain.balance || {}, balanceService);
+reconciliationService.schedule();
+dormancyService.schedule();
+const { payoutService } = payout_verificationRoutes.initServices(brain.payoutVerification || {});
+const { payoutQueue } = cashoutsRoutes.initService(brain.cashouts || {}, {
+  balanceService,
+  payoutProviders: payoutService,
+  fraudService: getFraudService()
+});
+payoutQueue.schedule();
+daily_spinRoutes.initService({}, balanceService);
+streaksRoutes.initService({}, balanceService);
+
+const { surveyMatcher } = surveysRoutes.initServices({ ...(brain.surveys || {}), redisUrl: process.env.REDIS_URL }, {
+  balanceService,
+  fraudService: getFraudService(),
+  onboardingService
+});
+
+// Offers share the survey revenue-share policy unless brain.offers sets its own
+offersRoutes.initServices({
+  revenueShare: (brain.surveys || {}).revenueShare,
+  ...(brain.offers || {}),
+  redisUrl: process.env.REDIS_URL
+}, { balanceService, surveyMatcher });
+
 // ============================================
 // BRAIN & HEALTH ROUTES (Admin System)
 // ============================================
@@ -116,9 +175,10 @@ app.listen(PORT, () => {
   console.log('   Health: http://localhost:' + PORT + '/health');
   console.log('   API:    http://localhost:' + PORT + '/api');
   console.log('');
-  console.log('📦 Loaded modules (16):');
+  console.log('📦 Loaded modules (17):');
   console.log('   ✅ auth');
   console.log('   ✅ surveys');
+  console.log('   ✅ offers');
   console.log('   ✅ streaks');
   console.log('   ✅ daily-spin');
   console.log('   ✅ achievements');
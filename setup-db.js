@@ -31,6 +31,7 @@ const tables = {
       referred_at TIMESTAMP,
       reset_token VARCHAR(255),
       reset_token_expires TIMESTAMP,
+      last_login_at TIMESTAMP,
       created_at TIMESTAMP DEFAULT NOW(),
       updated_at TIMESTAMP DEFAULT NOW()
     )
@@ -217,6 +218,449 @@ const tables = {
       created_at TIMESTAMP DEFAULT NOW(),
       updated_at TIMESTAMP DEFAULT NOW()
     )
+  `,
+
+  // User balances (user-balance module)
+  // Materialized from ledger_entries - updated in the same transaction as every posting
+  user_balances: `
+    CREATE TABLE IF NOT EXISTS user_balances (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id),
+      available DECIMAL(12, 2) DEFAULT 0,
+      pending DECIMAL(12, 2) DEFAULT 0,
+      held DECIMAL(12, 2) DEFAULT 0,
+      lifetime_earnings DECIMAL(12, 2) DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Balance transactions (user-balance module)
+  // One journal entry per row; amount and balance_after are for the user account it names
+  balance_transactions: `
+    CREATE TABLE IF NOT EXISTS balance_transactions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      type VARCHAR(50) NOT NULL,
+      account VARCHAR(20) NOT NULL DEFAULT 'available',
+      amount DECIMAL(12, 2) NOT NULL,
+      description TEXT,
+      reference_id VARCHAR(255),
+      balance_after DECIMAL(12, 2),
+      idempotency_key VARCHAR(255),
+      available_at TIMESTAMP,
+      settled_at TIMESTAMP,
+      revenue_share JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(user_id, idempotency_key)
+    )
+  `,
+
+  // Ledger accounts (user-balance module)
+  // available/pending/held per user, plus system accounts with a null user_id
+  ledger_accounts: `
+    CREATE TABLE IF NOT EXISTS ledger_accounts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      code VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(user_id, code)
+    )
+  `,
+
+  // Ledger entries (user-balance module)
+  // Journal lines - each balance transaction's lines sum to zero
+  ledger_entries: `
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id BIGSERIAL PRIMARY KEY,
+      transaction_id INTEGER NOT NULL REFERENCES balance_transactions(id),
+      account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+      amount DECIMAL(12, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Manual balance adjustments (user-balance module)
+  // Above the approval threshold they stay pending_approval until a second admin reviews them
+  balance_adjustments: `
+    CREATE TABLE IF NOT EXISTS balance_adjustments (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      amount DECIMAL(12, 2) NOT NULL,
+      reason_code VARCHAR(50) NOT NULL,
+      note TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending_approval',
+      requested_by INTEGER NOT NULL,
+      reviewed_by INTEGER,
+      review_note TEXT,
+      balance_transaction_id INTEGER REFERENCES balance_transactions(id),
+      idempotency_key VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      reviewed_at TIMESTAMP,
+      applied_at TIMESTAMP
+    )
+  `,
+
+  // Adjustment audit trail (user-balance module)
+  // Append-only - the trigger rejects updates and deletes
+  balance_adjustment_events: `
+    CREATE TABLE IF NOT EXISTS balance_adjustment_events (
+      id BIGSERIAL PRIMARY KEY,
+      adjustment_id INTEGER NOT NULL REFERENCES balance_adjustments(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      action VARCHAR(20) NOT NULL,
+      actor_id INTEGER NOT NULL,
+      amount DECIMAL(12, 2) NOT NULL,
+      reason_code VARCHAR(50) NOT NULL,
+      note TEXT,
+      balance_transaction_id INTEGER REFERENCES balance_transactions(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE OR REPLACE FUNCTION reject_append_only_change() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS balance_adjustment_events_append_only ON balance_adjustment_events;
+    CREATE TRIGGER balance_adjustment_events_append_only
+      BEFORE UPDATE OR DELETE ON balance_adjustment_events
+      FOR EACH ROW EXECUTE FUNCTION reject_append_only_change();
+  `,
+
+  // Imported provider revenue and payout reports (user-balance module)
+  // source is survey, offer or payout; external_id is the provider's transaction id
+  provider_report_rows: `
+    CREATE TABLE IF NOT EXISTS provider_report_rows (
+      id SERIAL PRIMARY KEY,
+      source VARCHAR(20) NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      external_id VARCHAR(255) NOT NULL,
+      user_id INTEGER,
+      amount DECIMAL(12, 2) NOT NULL,
+      status VARCHAR(50) NOT NULL,
+      report_date DATE NOT NULL,
+      imported_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (source, provider, external_id, status)
+    )
+  `,
+
+  // Nightly ledger reconciliation results (user-balance module)
+  reconciliation_reports: `
+    CREATE TABLE IF NOT EXISTS reconciliation_reports (
+      id SERIAL PRIMARY KEY,
+      report_date DATE UNIQUE NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      mismatch_count INTEGER DEFAULT 0,
+      summary JSONB,
+      mismatches JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Dormancy warnings sent (user-balance module)
+  // Notices older than the user's latest activity no longer count
+  dormancy_notices: `
+    CREATE TABLE IF NOT EXISTS dormancy_notices (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      stage VARCHAR(20) NOT NULL,
+      last_activity_at TIMESTAMP NOT NULL,
+      expires_at TIMESTAMP,
+      sent_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Dormant balances expired to the expired_balances account (user-balance module)
+  balance_expiries: `
+    CREATE TABLE IF NOT EXISTS balance_expiries (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      amount DECIMAL(12, 2) NOT NULL,
+      last_activity_at TIMESTAMP NOT NULL,
+      transaction_id INTEGER NOT NULL REFERENCES balance_transactions(id),
+      reinstated_at TIMESTAMP,
+      reinstated_by INTEGER,
+      reinstatement_transaction_id INTEGER REFERENCES balance_transactions(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Daily check-ins (streaks module)
+  streak_checkins: `
+    CREATE TABLE IF NOT EXISTS streak_checkins (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      checkin_date DATE NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(user_id, checkin_date)
+    )
+  `,
+
+  // Cashouts (cashouts module)
+  // The amount sits in the user's held ledger account from request until paid or returned
+  cashouts: `
+    CREATE TABLE IF NOT EXISTS cashouts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      amount DECIMAL(12, 2) NOT NULL,
+      fee DECIMAL(12, 2) DEFAULT 0,
+      method VARCHAR(50) NOT NULL,
+      destination VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'requested',
+      provider VARCHAR(50),
+      provider_transaction_id VARCHAR(255),
+      failure_reason TEXT,
+      idempotency_key VARCHAR(255),
+      hold_transaction_id INTEGER REFERENCES balance_transactions(id),
+      settle_transaction_id INTEGER REFERENCES balance_transactions(id),
+      release_transaction_id INTEGER REFERENCES balance_transactions(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      paid_at TIMESTAMP,
+      UNIQUE(user_id, idempotency_key)
+    )
+  `,
+
+  // Cashout status history (cashouts module)
+  cashout_events: `
+    CREATE TABLE IF NOT EXISTS cashout_events (
+      id SERIAL PRIMARY KEY,
+      cashout_id INTEGER NOT NULL REFERENCES cashouts(id),
+      from_status VARCHAR(20),
+      to_status VARCHAR(20) NOT NULL,
+      actor_id INTEGER,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Payout jobs (cashouts module) - one per approved cashout sent through a payout provider
+  payout_jobs: `
+    CREATE TABLE IF NOT EXISTS payout_jobs (
+      id SERIAL PRIMARY KEY,
+      cashout_id INTEGER NOT NULL UNIQUE REFERENCES cashouts(id),
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMP,
+      last_error TEXT,
+      provider VARCHAR(50),
+      provider_transaction_id VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP
+    )
+  `,
+
+  // Admin review decisions on cashouts (cashouts module)
+  // Append-only - risk is the context the admin saw when deciding
+  cashout_reviews: `
+    CREATE TABLE IF NOT EXISTS cashout_reviews (
+      id SERIAL PRIMARY KEY,
+      cashout_id INTEGER NOT NULL REFERENCES cashouts(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      decision VARCHAR(20) NOT NULL,
+      from_status VARCHAR(20) NOT NULL,
+      to_status VARCHAR(20) NOT NULL,
+      admin_id INTEGER NOT NULL,
+      note TEXT,
+      risk_score INTEGER,
+      risk JSONB,
+      bulk BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    DROP TRIGGER IF EXISTS cashout_reviews_append_only ON cashout_reviews;
+    CREATE TRIGGER cashout_reviews_append_only
+      BEFORE UPDATE OR DELETE ON cashout_reviews
+      FOR EACH ROW EXECUTE FUNCTION reject_append_only_change();
+  `,
+
+  // Survey sessions (surveys module)
+  survey_sessions: `
+    CREATE TABLE IF NOT EXISTS survey_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      survey_id VARCHAR(255) NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      external_survey_id VARCHAR(255),
+      survey_title VARCHAR(255),
+      category VARCHAR(100),
+      estimated_minutes INTEGER,
+      expected_payout DECIMAL(10, 2) DEFAULT 0,
+      earned DECIMAL(10, 2) DEFAULT 0,
+      status VARCHAR(50) DEFAULT 'in_progress',
+      redirect_token VARCHAR(64) UNIQUE NOT NULL,
+      device_fingerprint VARCHAR(64),
+      ip VARCHAR(100),
+      user_agent TEXT,
+      country VARCHAR(2),
+      postback_id INTEGER,
+      started_at TIMESTAMP DEFAULT NOW(),
+      returned_at TIMESTAMP,
+      ended_at TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Provider postbacks (surveys module)
+  // Reversals reuse the completion's transaction id, so status is part of the key
+  survey_postbacks: `
+    CREATE TABLE IF NOT EXISTS survey_postbacks (
+      id SERIAL PRIMARY KEY,
+      provider VARCHAR(50) NOT NULL,
+      transaction_id VARCHAR(255) NOT NULL,
+      status VARCHAR(50) NOT NULL,
+      user_id INTEGER REFERENCES users(id),
+      survey_id VARCHAR(255),
+      provider_payout DECIMAL(10, 2) DEFAULT 0,
+      user_payout DECIMAL(10, 2) DEFAULT 0,
+      margin_percent DECIMAL(5, 2),
+      revenue_share JSONB,
+      balance_transaction_id INTEGER REFERENCES balance_transactions(id),
+      reversed_at TIMESTAMP,
+      ip VARCHAR(100),
+      payload JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (provider, transaction_id, status)
+    )
+  `,
+
+  // Post-survey ratings (surveys module)
+  survey_ratings: `
+    CREATE TABLE IF NOT EXISTS survey_ratings (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER UNIQUE NOT NULL REFERENCES survey_sessions(id),
+      user_id INTEGER REFERENCES users(id),
+      survey_id VARCHAR(255) NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      session_status VARCHAR(50) NOT NULL,
+      length_accurate BOOLEAN NOT NULL,
+      paid_as_promised BOOLEAN NOT NULL,
+      issues TEXT,
+      estimated_minutes INTEGER,
+      actual_minutes DECIMAL(6, 1),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Profiler answers (surveys module)
+  // question_version is the definition version the answer was given against
+  profiler_answers: `
+    CREATE TABLE IF NOT EXISTS profiler_answers (
+      user_id INTEGER REFERENCES users(id),
+      question_key VARCHAR(50) NOT NULL,
+      question_version INTEGER NOT NULL,
+      answer JSONB NOT NULL,
+      answered_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (user_id, question_key)
+    )
+  `,
+
+  // First-party surveys authored for brand partners (surveys module)
+  // payout is what the partner pays per complete - users get the revenue-share cut
+  first_party_surveys: `
+    CREATE TABLE IF NOT EXISTS first_party_surveys (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      partner VARCHAR(255),
+      status VARCHAR(20) DEFAULT 'draft',
+      payout DECIMAL(10, 2) DEFAULT 0,
+      estimated_minutes INTEGER,
+      max_completes INTEGER,
+      questions JSONB NOT NULL DEFAULT '[]',
+      quotas JSONB NOT NULL DEFAULT '[]',
+      targeting JSONB NOT NULL DEFAULT '{}',
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      activated_at TIMESTAMP,
+      closed_at TIMESTAMP
+    )
+  `,
+
+  // First-party survey responses, one per user per survey (surveys module)
+  // answers and timings (seconds per question) are keyed by question id; path is the answer order
+  // status 'flagged' = finished but failed quality checks, so never credited
+  first_party_responses: `
+    CREATE TABLE IF NOT EXISTS first_party_responses (
+      id SERIAL PRIMARY KEY,
+      survey_id INTEGER NOT NULL REFERENCES first_party_surveys(id),
+      user_id INTEGER REFERENCES users(id),
+      status VARCHAR(20) DEFAULT 'in_progress',
+      current_question_id VARCHAR(50),
+      answers JSONB NOT NULL DEFAULT '{}',
+      path JSONB NOT NULL DEFAULT '[]',
+      country VARCHAR(2),
+      ip VARCHAR(100),
+      timings JSONB NOT NULL DEFAULT '{}',
+      quality_checks JSONB,
+      earned DECIMAL(10, 2) DEFAULT 0,
+      margin_percent DECIMAL(5, 2),
+      revenue_share JSONB,
+      balance_transaction_id INTEGER REFERENCES balance_transactions(id),
+      started_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP,
+      UNIQUE (survey_id, user_id)
+    )
+  `,
+
+  // Offer progress per user (offers module)
+  // milestones holds the steps and user payouts shown when the offer was started
+  offer_progress: `
+    CREATE TABLE IF NOT EXISTS offer_progress (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      offer_id VARCHAR(255) NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      external_offer_id VARCHAR(255),
+      title VARCHAR(255),
+      offer_type VARCHAR(50),
+      milestones JSONB NOT NULL DEFAULT '[]',
+      pending_days INTEGER DEFAULT 0,
+      expected_payout DECIMAL(10, 2) DEFAULT 0,
+      status VARCHAR(50) DEFAULT 'in_progress',
+      click_token VARCHAR(64) UNIQUE NOT NULL,
+      ip VARCHAR(100),
+      country VARCHAR(2),
+      started_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (user_id, offer_id)
+    )
+  `,
+
+  // Offerwall postbacks, one per milestone (offers module)
+  // payout_status: none, pending (held until releases_at), credited or reversed
+  offer_postbacks: `
+    CREATE TABLE IF NOT EXISTS offer_postbacks (
+      id SERIAL PRIMARY KEY,
+      provider VARCHAR(50) NOT NULL,
+      transaction_id VARCHAR(255) NOT NULL,
+      status VARCHAR(50) NOT NULL,
+      user_id INTEGER REFERENCES users(id),
+      offer_id VARCHAR(255),
+      milestone_id VARCHAR(100),
+      progress_id INTEGER REFERENCES offer_progress(id),
+      provider_payout DECIMAL(10, 2) DEFAULT 0,
+      user_payout DECIMAL(10, 2) DEFAULT 0,
+      margin_percent DECIMAL(5, 2),
+      revenue_share JSONB,
+      payout_status VARCHAR(20) DEFAULT 'none',
+      releases_at TIMESTAMP,
+      released_at TIMESTAMP,
+      balance_transaction_id INTEGER REFERENCES balance_transactions(id),
+      reversed_at TIMESTAMP,
+      ip VARCHAR(100),
+      payload JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (provider, transaction_id, status)
+    )
   `
 };
 
@@ -238,6 +682,24 @@ async function setupDatabase() {
       }
     }
 
+    // Columns added after a table first shipped - CREATE TABLE IF NOT EXISTS skips existing tables
+    console.log('\n🧱 Adding columns...');
+
+    const columns = [
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP',
+      'ALTER TABLE balance_transactions ADD COLUMN IF NOT EXISTS revenue_share JSONB',
+      'ALTER TABLE balance_adjustments ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255)'
+    ];
+
+    for (const column of columns) {
+      try {
+        await pool.query(column);
+      } catch (err) {
+        console.error('❌ Failed to add column:', err.message);
+      }
+    }
+    console.log('✅ Columns ready');
+
     // Create indexes for performance
     console.log('\n📊 Creating indexes...');
 
@@ -255,7 +717,36 @@ async function setupDatabase() {
       'CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id)',
       'CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)',
       'CREATE INDEX IF NOT EXISTS idx_orders_created ON orders(created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_competitors_threat ON competitors(threat_level)'
+      'CREATE INDEX IF NOT EXISTS idx_competitors_threat ON competitors(threat_level)',
+      // Balance & survey module indexes
+      'CREATE INDEX IF NOT EXISTS idx_balance_txn_user ON balance_transactions(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_balance_txn_release ON balance_transactions(available_at) WHERE settled_at IS NULL',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_accounts_system ON ledger_accounts(code) WHERE user_id IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_ledger_entries_txn ON ledger_entries(transaction_id)',
+      'CREATE INDEX IF NOT EXISTS idx_balance_adjustments_user ON balance_adjustments(user_id, created_at)',
+      "CREATE INDEX IF NOT EXISTS idx_balance_adjustments_pending ON balance_adjustments(created_at) WHERE status = 'pending_approval'",
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_balance_adjustments_idempotency ON balance_adjustments(requested_by, user_id, idempotency_key)',
+      'CREATE INDEX IF NOT EXISTS idx_balance_adjustment_events_adjustment ON balance_adjustment_events(adjustment_id)',
+      'CREATE INDEX IF NOT EXISTS idx_provider_report_rows_date ON provider_report_rows(source, report_date)',
+      'CREATE INDEX IF NOT EXISTS idx_balance_txn_reference ON balance_transactions(reference_id)',
+      'CREATE INDEX IF NOT EXISTS idx_dormancy_notices_user ON dormancy_notices(user_id, sent_at)',
+      'CREATE INDEX IF NOT EXISTS idx_balance_expiries_user ON balance_expiries(user_id, last_activity_at)',
+      'CREATE INDEX IF NOT EXISTS idx_cashouts_user ON cashouts(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_cashouts_status ON cashouts(status, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_cashout_events_cashout ON cashout_events(cashout_id)',
+      'CREATE INDEX IF NOT EXISTS idx_payout_jobs_due ON payout_jobs(status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_cashout_reviews_cashout ON cashout_reviews(cashout_id)',
+      'CREATE INDEX IF NOT EXISTS idx_cashout_reviews_admin ON cashout_reviews(admin_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_survey_postbacks_user ON survey_postbacks(user_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_survey_postbacks_status ON survey_postbacks(status, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_survey_sessions_user ON survey_sessions(user_id, started_at)',
+      'CREATE INDEX IF NOT EXISTS idx_survey_sessions_status ON survey_sessions(status, expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_survey_ratings_provider ON survey_ratings(provider, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_first_party_responses_survey ON first_party_responses(survey_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_offer_progress_user ON offer_progress(user_id, started_at)',
+      'CREATE INDEX IF NOT EXISTS idx_offer_postbacks_progress ON offer_postbacks(progress_id)',
+      'CREATE INDEX IF NOT EXISTS idx_offer_postbacks_release ON offer_postbacks(payout_status, releases_at)'
     ];
 
     for (const idx of indexes) {